@@ -0,0 +1,165 @@
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import { statSync } from "fs";
+import { dataPath, readJsonFile, writeJsonFile } from "./storage.js";
+
+// API keys for the HTTP transport. Only a SHA-256 digest of each key is kept on
+// disk; the key itself is shown once, when it is created. Keys are long random
+// strings, so an unsalted digest is as hard to reverse as guessing the key.
+export class ApiKeyStore {
+  constructor({ filePath } = {}) {
+    this.filePath = filePath;
+    this.keys = [];
+    this.loadedMtime = null;
+    this.pendingWrite = Promise.resolve();
+    this.refresh();
+  }
+
+  // Picks up keys added or revoked from the command line while the server runs
+  refresh() {
+    if (!this.filePath) {
+      return;
+    }
+    let mtime;
+    try {
+      mtime = statSync(this.filePath).mtimeMs;
+    } catch {
+      mtime = null;
+    }
+    if (mtime !== this.loadedMtime) {
+      this.keys = readJsonFile(this.filePath, { keys: [] }).keys;
+      this.loadedMtime = mtime;
+    }
+  }
+
+  list() {
+    return [...this.keys].sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  async create(clientId, { rateLimitPerMinute = null, dailyQuota = null } = {}) {
+    const key = `tbk_${randomBytes(24).toString("base64url")}`;
+    const entry = {
+      id: `k_${randomUUID().slice(0, 8)}`,
+      client_id: clientId,
+      hash: hashApiKey(key),
+      rate_limit_per_minute: rateLimitPerMinute,
+      daily_quota: dailyQuota,
+      created_at: new Date().toISOString()
+    };
+
+    this.keys.push(entry);
+    await this.persist();
+    return { key, entry };
+  }
+
+  async revoke(id) {
+    const before = this.keys.length;
+    this.keys = this.keys.filter(entry => entry.id !== id);
+    if (this.keys.length === before) {
+      return false;
+    }
+    await this.persist();
+    return true;
+  }
+
+  // Every digest is compared in constant time, so response timing says nothing
+  // about how close a guess came to a real key
+  authenticate(token) {
+    if (!token) {
+      return null;
+    }
+    this.refresh();
+    const digest = Buffer.from(hashApiKey(token), "hex");
+    let match = null;
+    for (const entry of this.keys) {
+      if (timingSafeEqual(Buffer.from(entry.hash, "hex"), digest)) {
+        match = entry;
+      }
+    }
+    return match;
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return Promise.resolve();
+    }
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(() => writeJsonFile(this.filePath, { keys: this.keys }));
+    return this.pendingWrite;
+  }
+}
+
+export function hashApiKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+// Per-client request rate (fixed one-minute windows) and daily tool-call quota
+// (reset at midnight UTC). Counters live in memory, so a restart clears them.
+export class RateLimiter {
+  constructor() {
+    this.windows = new Map();
+    this.days = new Map();
+  }
+
+  // Seconds to wait before retrying, or 0 when the request may go ahead
+  hit(id, limit, now = Date.now()) {
+    if (!limit) {
+      return 0;
+    }
+    const start = now - (now % 60000);
+    const window = this.windows.get(id);
+    if (!window || window.start !== start) {
+      this.windows.set(id, { start, count: 1 });
+      return 0;
+    }
+    if (window.count >= limit) {
+      return Math.ceil((start + 60000 - now) / 1000);
+    }
+    window.count++;
+    return 0;
+  }
+
+  // Like hit(), but spends `count` calls from the day's quota at once
+  consume(id, limit, count, now = Date.now()) {
+    if (!limit || count === 0) {
+      return 0;
+    }
+    const day = new Date(now).toISOString().slice(0, 10);
+    const usage = this.days.get(id);
+    const used = usage && usage.day === day ? usage.count : 0;
+    if (used + count > limit) {
+      return Math.ceil((Date.parse(day) + 24 * 60 * 60 * 1000 - now) / 1000);
+    }
+    this.days.set(id, { day, count: used + count });
+    return 0;
+  }
+}
+
+// HTTP auth is on unless TRAFFIC_AUTH=off; limits on individual keys override
+// the defaults
+export function createAuthFromEnv(env = process.env) {
+  if (env.TRAFFIC_AUTH === "off") {
+    return null;
+  }
+  return {
+    keys: createApiKeyStoreFromEnv(env),
+    limiter: new RateLimiter(),
+    rateLimitPerMinute: limitFromEnv(env.TRAFFIC_RATE_LIMIT, 60),
+    dailyQuota: limitFromEnv(env.TRAFFIC_DAILY_QUOTA, 1000)
+  };
+}
+
+export function createApiKeyStoreFromEnv(env = process.env) {
+  return new ApiKeyStore({
+    filePath: env.TRAFFIC_API_KEYS_FILE || dataPath("api-keys.json", env)
+  });
+}
+
+// 0 switches a limit off
+function limitFromEnv(value, fallback) {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : fallback;
+}
@@ -0,0 +1,247 @@
+import { readFileSync } from "fs";
+import { rename, writeFile } from "fs/promises";
+import { numberOr } from "./env.js";
+import { BudgetExceededError } from "./errors.js";
+import { parseCoordinates } from "./geo.js";
+import { logger } from "./logger.js";
+
+// Caches normalized Directions responses in memory, optionally mirrored to a
+// JSON file so a restart doesn't start cold. Identical concurrent lookups are
+// coalesced into a single upstream call.
+//
+// Keys are built from the whole provider request: locations are normalized,
+// and departure times are bucketed so forecasts a few minutes apart share an
+// entry. Live lookups ("now"), forecasts and place lookups (geocoding and
+// search, which rarely change) get separate TTLs. Expired entries are kept
+// until evicted and served as "stale" once the upstream budget is spent.
+export class DirectionsCache {
+  constructor({
+    liveTtlSeconds = 120,
+    forecastTtlSeconds = 3600,
+    placesTtlSeconds = 86400,
+    bucketMinutes = 15,
+    maxEntries = 500,
+    filePath
+  } = {}) {
+    this.liveTtlSeconds = liveTtlSeconds;
+    this.forecastTtlSeconds = forecastTtlSeconds;
+    this.placesTtlSeconds = placesTtlSeconds;
+    this.bucketMinutes = bucketMinutes;
+    this.maxEntries = maxEntries;
+    this.filePath = filePath;
+    this.entries = new Map();
+    this.inflight = new Map();
+    this.stats = { hits: 0, misses: 0, coalesced: 0, stale: 0 };
+
+    if (filePath) {
+      this.load();
+    }
+  }
+
+  // A `bucketMinutes` other than the cache's own is part of the key, so coarse
+  // entries are never served for a lookup that asked for finer times
+  keyFor(request, bucketMinutes = this.bucketMinutes) {
+    const normalized = {};
+    for (const key of Object.keys(request).sort()) {
+      const value = request[key];
+      if (value === undefined) {
+        continue;
+      }
+      if (key === "origin" || key === "destination" || key === "address" || key === "query") {
+        normalized[key] = normalizeLocation(value);
+      } else if (key === "origins" || key === "destinations" || key === "waypoints") {
+        normalized[key] = value.map(normalizeLocation);
+      } else if (key === "departureTime" || key === "arrivalTime") {
+        normalized[key] = this.bucketTime(value, bucketMinutes);
+      } else {
+        normalized[key] = value;
+      }
+    }
+    if (bucketMinutes !== this.bucketMinutes) {
+      normalized.bucketMinutes = bucketMinutes;
+    }
+    return JSON.stringify(normalized);
+  }
+
+  ttlFor(request) {
+    const live = !request.departureTime || request.departureTime === "now";
+    return live && !request.arrivalTime ? this.liveTtlSeconds : this.forecastTtlSeconds;
+  }
+
+  bucketTime(value, bucketMinutes = this.bucketMinutes) {
+    if (value === "now") {
+      return value;
+    }
+    const bucketMs = bucketMinutes * 60 * 1000;
+    return new Date(Math.floor(new Date(value).getTime() / bucketMs) * bucketMs).toISOString();
+  }
+
+  // Resolves to { value, status, age_seconds } where status is "hit", "miss",
+  // "coalesced" (shared an in-flight upstream call) or "stale".
+  async getOrLoad(request, loader, ttlSeconds = this.ttlFor(request), bucketMinutes = this.bucketMinutes) {
+    const key = this.keyFor(request, bucketMinutes);
+    const now = Date.now();
+
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > now) {
+      this.stats.hits++;
+      // Refresh LRU position
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      return {
+        value: structuredClone(entry.value),
+        status: "hit",
+        age_seconds: Math.round((now - entry.storedAt) / 1000)
+      };
+    }
+
+    if (this.inflight.has(key)) {
+      this.stats.coalesced++;
+      const value = await this.inflight.get(key);
+      return { value: structuredClone(value), status: "coalesced", age_seconds: 0 };
+    }
+
+    this.stats.misses++;
+    const promise = loader();
+    this.inflight.set(key, promise);
+
+    try {
+      const value = await promise;
+      this.set(key, value, ttlSeconds);
+      return { value: structuredClone(value), status: "miss", age_seconds: 0 };
+    } catch (error) {
+      if (error instanceof BudgetExceededError && entry) {
+        this.stats.stale++;
+        return {
+          value: structuredClone(entry.value),
+          status: "stale",
+          age_seconds: Math.round((now - entry.storedAt) / 1000)
+        };
+      }
+      throw error;
+    } finally {
+      this.inflight.delete(key);
+    }
+  }
+
+  set(key, value, ttlSeconds) {
+    const now = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt: now, expiresAt: now + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.scheduleSave();
+  }
+
+  load() {
+    let saved;
+    try {
+      saved = JSON.parse(readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.warn("Ignoring unreadable cache file", { file: this.filePath, error });
+      }
+      return;
+    }
+
+    const now = Date.now();
+    for (const [key, entry] of saved.entries || []) {
+      if (entry.expiresAt > now) {
+        this.entries.set(key, entry);
+      }
+    }
+  }
+
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) {
+      return;
+    }
+    // Batch writes; unref so a pending save never keeps the process alive
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => logger.error("Failed to write cache file", { file: this.filePath, error }));
+    }, 1000);
+    this.saveTimer.unref();
+  }
+
+  // Writes any pending changes immediately (used on shutdown)
+  async flush() {
+    if (!this.saveTimer) {
+      return;
+    }
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.save();
+  }
+
+  async save() {
+    const tmpPath = `${this.filePath}.tmp`;
+    await writeFile(tmpPath, JSON.stringify({ entries: [...this.entries] }));
+    await rename(tmpPath, this.filePath);
+  }
+}
+
+// Provider decorator that serves lookups through a DirectionsCache and
+// reports how each one was satisfied in `response.cache`. Optional provider
+// capabilities (matrix, geocoding, place search) are only exposed when the
+// wrapped provider has them.
+export class CachingProvider {
+  constructor(provider, cache) {
+    this.provider = provider;
+    this.cache = cache;
+    this.name = provider.name;
+
+    if (provider.distanceMatrix) {
+      this.distanceMatrix = request => this.cached("distanceMatrix", request);
+    }
+    for (const method of ["geocode", "reverseGeocode", "searchPlaces"]) {
+      if (provider[method]) {
+        this[method] = request => this.cached(method, request, cache.placesTtlSeconds);
+      }
+    }
+  }
+
+  // `bucketMinutes` narrows the departure-time buckets for callers comparing
+  // departures closer together than the cache's buckets
+  async directions(request, { bucketMinutes } = {}) {
+    const { value, status, age_seconds } = await this.cache.getOrLoad(
+      request,
+      () => this.provider.directions(request),
+      undefined,
+      bucketMinutes
+    );
+    return { ...value, cache: { status, age_seconds } };
+  }
+
+  async cached(method, request, ttlSeconds) {
+    const { value, status, age_seconds } = await this.cache.getOrLoad(
+      { method, ...request },
+      () => this.provider[method](request),
+      ttlSeconds
+    );
+    return { ...value, cache: { status, age_seconds } };
+  }
+}
+
+export function createCacheFromEnv(env = process.env) {
+  if (env.TRAFFIC_CACHE === "off") {
+    return null;
+  }
+  return new DirectionsCache({
+    liveTtlSeconds: numberOr(env.TRAFFIC_CACHE_LIVE_TTL, 120),
+    forecastTtlSeconds: numberOr(env.TRAFFIC_CACHE_FORECAST_TTL, 3600),
+    filePath: env.TRAFFIC_CACHE_FILE || undefined
+  });
+}
+
+export function normalizeLocation(location) {
+  const coordinates = parseCoordinates(location);
+  if (coordinates) {
+    // ~1m precision is plenty for routing and lets near-identical fixes share entries
+    return `${coordinates.lat.toFixed(5)},${coordinates.lng.toFixed(5)}`;
+  }
+  return String(location).trim().toLowerCase().replace(/\s+/g, ' ');
+}
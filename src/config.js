@@ -0,0 +1,186 @@
+import { existsSync } from "fs";
+import { resolve } from "path";
+import { parseArgs } from "util";
+import { LOG_LEVELS } from "./logger.js";
+import { PROVIDERS } from "./providers/index.js";
+import { readJsonFile } from "./storage.js";
+
+export const TRANSPORTS = ["stdio", "http"];
+
+// Read from the working directory when there is no --config or TRAFFIC_CONFIG
+const DEFAULT_CONFIG_FILE = "traffic.config.json";
+
+export const USAGE = `Usage: node src/server.js [options]
+
+Options:
+  --transport <stdio|http>   How clients connect (default: stdio)
+  --port <number>            HTTP port (default: 3000)
+  --host <address>           HTTP interface to listen on (default: all)
+  --provider <name>          Routing provider: ${Object.keys(PROVIDERS).join(", ")} (default: google)
+  --log-level <level>        ${LOG_LEVELS.join(", ")} (default: info)
+  --config <file>            JSON config file (default: ${DEFAULT_CONFIG_FILE} if present)
+  --help                     Show this message
+
+Settings come from, in increasing order of precedence: defaults, the config
+file, environment variables and command-line flags.`;
+
+// Thrown for anything that keeps the server from starting, with every problem
+// found rather than just the first
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// Each setting with its config file key, environment variables and flag
+const SETTINGS = {
+  transport: { env: ["TRAFFIC_TRANSPORT"], flag: "transport", fallback: "stdio" },
+  port: { env: ["TRAFFIC_PORT", "PORT"], flag: "port", fallback: 3000 },
+  host: { env: ["TRAFFIC_HOST"], flag: "host", fallback: undefined },
+  provider: { env: ["TRAFFIC_PROVIDER"], flag: "provider", fallback: "google" },
+  logLevel: { env: ["TRAFFIC_LOG_LEVEL"], flag: "log-level", fallback: "info" }
+};
+
+// Resolves the server's settings. Returns { transport, port, host, provider,
+// logLevel, configFile, env } (or { help: true } for --help), where `env` is the environment the rest of the
+// server reads its settings from: the config file's "env" section overlaid
+// with the real environment, and TRAFFIC_PROVIDER set to the chosen provider.
+export function loadConfig({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+  const problems = [];
+  const args = parseCommandLine(argv, problems);
+  if (args.help) {
+    return { help: true };
+  }
+  const { file, configFile } = readConfigFile(args.config ?? env.TRAFFIC_CONFIG, cwd, problems);
+
+  const mergedEnv = { ...file.env, ...env };
+  // DEBUG=true from older .env files still turns on debug logging
+  if (!mergedEnv.TRAFFIC_LOG_LEVEL && /^(true|1)$/i.test(mergedEnv.DEBUG || "")) {
+    mergedEnv.TRAFFIC_LOG_LEVEL = "debug";
+  }
+
+  const config = { configFile };
+  const sources = {};
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    const envName = setting.env.find(variable => mergedEnv[variable] !== undefined && mergedEnv[variable] !== "");
+    if (args[setting.flag] !== undefined) {
+      config[name] = args[setting.flag];
+      sources[name] = `--${setting.flag}`;
+    } else if (envName) {
+      config[name] = mergedEnv[envName];
+      sources[name] = envName;
+    } else if (file[name] !== undefined) {
+      config[name] = file[name];
+      sources[name] = `"${name}" in ${configFile}`;
+    } else {
+      config[name] = setting.fallback;
+    }
+  }
+
+  const invalid = (name, expected) =>
+    problems.push(`${sources[name] || name} must be ${expected} (got ${JSON.stringify(config[name])})`);
+
+  if (!TRANSPORTS.includes(config.transport)) {
+    invalid("transport", `one of ${TRANSPORTS.join(", ")}`);
+  }
+  const port = Number(config.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    invalid("port", "a port number between 1 and 65535");
+  }
+  config.port = port;
+  if (config.host !== undefined && (typeof config.host !== "string" || config.host === "")) {
+    invalid("host", "a hostname or IP address");
+  }
+  if (!LOG_LEVELS.includes(config.logLevel)) {
+    invalid("logLevel", `one of ${LOG_LEVELS.join(", ")}`);
+  }
+
+  if (!PROVIDERS[config.provider]) {
+    invalid("provider", `one of ${Object.keys(PROVIDERS).join(", ")}`);
+  } else if (config.provider === "google" && !mergedEnv.GOOGLE_MAPS_API_KEY && !mergedEnv.TRAFFIC_REPLAY) {
+    problems.push(
+      "GOOGLE_MAPS_API_KEY is required for the google provider. Get a key from " +
+      "https://console.cloud.google.com/google/maps-apis, or run offline with --provider fixture"
+    );
+  } else if (config.provider === "osrm" && !mergedEnv.OSRM_URL) {
+    problems.push("OSRM_URL is required for the osrm provider (e.g. http://localhost:5000)");
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  config.env = { ...mergedEnv, TRAFFIC_PROVIDER: config.provider, TRAFFIC_LOG_LEVEL: config.logLevel };
+  return config;
+}
+
+// Flags, plus the older `server.js http 3333` positional form
+function parseCommandLine(argv, problems) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        transport: { type: "string" },
+        port: { type: "string" },
+        host: { type: "string" },
+        provider: { type: "string" },
+        "log-level": { type: "string" },
+        config: { type: "string" },
+        help: { type: "boolean", short: "h" }
+      }
+    });
+  } catch (error) {
+    problems.push(error.message);
+    return {};
+  }
+
+  const { values, positionals } = parsed;
+  const [transport, port, ...extra] = positionals;
+  if (extra.length > 0) {
+    problems.push(`Unexpected arguments: ${extra.join(" ")}`);
+  }
+  return { transport, port, ...values };
+}
+
+function readConfigFile(path, cwd, problems) {
+  const filePath = resolve(cwd, path || DEFAULT_CONFIG_FILE);
+  if (!existsSync(filePath)) {
+    if (path) {
+      problems.push(`Config file not found: ${filePath}`);
+    }
+    return { file: {}, configFile: null };
+  }
+
+  let file;
+  try {
+    file = readJsonFile(filePath, {});
+  } catch (error) {
+    problems.push(error.message);
+    return { file: {}, configFile: filePath };
+  }
+  if (!file || typeof file !== "object" || Array.isArray(file)) {
+    problems.push(`${filePath} must contain a JSON object`);
+    return { file: {}, configFile: filePath };
+  }
+
+  const known = [...Object.keys(SETTINGS), "env"];
+  for (const key of Object.keys(file)) {
+    if (!known.includes(key)) {
+      problems.push(`Unknown setting "${key}" in ${filePath}. Expected: ${known.join(", ")}`);
+    }
+  }
+  if (file.env !== undefined && (!file.env || typeof file.env !== "object" || Array.isArray(file.env))) {
+    problems.push(`"env" in ${filePath} must be an object of environment variables`);
+    return { file: { ...file, env: {} }, configFile: filePath };
+  }
+  return { file: { ...file, env: stringValues(file.env) }, configFile: filePath };
+}
+
+// Environment variables are strings; the file may use numbers and booleans
+function stringValues(values = {}) {
+  return Object.fromEntries(Object.entries(values).map(([name, value]) => [name, String(value)]));
+}
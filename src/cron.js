@@ -0,0 +1,138 @@
+// Minimal five-field cron schedules ("minute hour day-of-month month day-of-week"),
+// evaluated in server local time. Fields accept "*", numbers, ranges ("1-5"),
+// lists ("1,15") and steps ("*/10", "8-18/2"). Day-of-week is 0-7 (0 and 7 are
+// Sunday) and also accepts names like "mon-fri".
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }
+];
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Searching further ahead than this means the schedule can never fire (e.g. "0 0 31 2 *")
+const MAX_SEARCH_DAYS = 366 * 5;
+
+export function parseCron(expression) {
+  const parts = String(expression).trim().toLowerCase().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Schedule '${expression}' must have 5 fields: minute hour day-of-month month day-of-week`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) =>
+    parseField(part, FIELDS[index], expression)
+  );
+
+  // Sunday can be written as 0 or 7
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    expression: parts.join(" "),
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2] === "*",
+    anyDayOfWeek: parts[4] === "*"
+  };
+}
+
+// Next minute strictly after `after` that matches the schedule
+export function nextRun(schedule, after = new Date()) {
+  const cron = typeof schedule === "string" ? parseCron(schedule) : schedule;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Schedule '${cron.expression}' never runs`);
+}
+
+export function upcomingRuns(schedule, count, after = new Date()) {
+  const cron = typeof schedule === "string" ? parseCron(schedule) : schedule;
+  const runs = [];
+  let cursor = after;
+  for (let i = 0; i < count; i++) {
+    cursor = nextRun(cron, cursor);
+    runs.push(cursor);
+  }
+  return runs;
+}
+
+// Like cron, a day matches when either restricted day field matches
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+
+  if (cron.anyDayOfMonth) {
+    return dayOfWeek;
+  }
+  if (cron.anyDayOfWeek) {
+    return dayOfMonth;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+function parseField(part, field, expression) {
+  const values = new Set();
+
+  for (const item of part.split(",")) {
+    const match = item.match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} '${item}' in schedule '${expression}'`);
+    }
+
+    const [, range, stepText] = match;
+    const step = stepText ? Number(stepText) : 1;
+    let start = field.min;
+    let end = field.max;
+
+    if (range !== "*") {
+      const [from, to] = range.split("-");
+      start = parseValue(from, field, expression);
+      end = to === undefined ? (stepText ? field.max : start) : parseValue(to, field, expression);
+    }
+
+    if (step < 1 || start > end) {
+      throw new Error(`Invalid ${field.name} '${item}' in schedule '${expression}'`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function parseValue(text, field, expression) {
+  const value = field.name === "day of week" && DAY_NAMES.includes(text)
+    ? DAY_NAMES.indexOf(text)
+    : Number(text);
+
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`${field.name} '${text}' in schedule '${expression}' must be between ${field.min} and ${field.max}`);
+  }
+  return value;
+}
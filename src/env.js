@@ -0,0 +1,6 @@
+// A numeric setting from the environment, or `fallback` when it is unset,
+// empty or not a number
+export function numberOr(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(parsed) ? parsed : fallback;
+}
@@ -0,0 +1,140 @@
+import { McpError } from "@modelcontextprotocol/sdk/types.js";
+
+// JSON-RPC error codes of our own, in the implementation-defined server error
+// range (-32000 to -32099). The SDK's ErrorCode covers the standard ones.
+export const ServerErrorCode = {
+  Unauthorized: -32010,
+  RateLimited: -32011,
+  QuotaExceeded: -32012,
+  BudgetExceeded: -32013,
+
+  // Upstream (routing provider) failures, see UPSTREAM_ERRORS
+  NoResults: -32020,
+  NotFound: -32021,
+  InvalidUpstreamRequest: -32022,
+  UpstreamRateLimited: -32030,
+  UpstreamUnavailable: -32031,
+  UpstreamTimeout: -32032,
+  CircuitOpen: -32033,
+  UpstreamDenied: -32040,
+  UpstreamQuotaExceeded: -32041
+};
+
+// What a client should do about an error
+export const ERROR_ACTIONS = ["fix_input", "retry_later", "check_configuration"];
+
+// Upstream statuses (Google's, plus our own for transport failures) and how
+// each is reported to clients
+export const UPSTREAM_ERRORS = {
+  ZERO_RESULTS: {
+    code: ServerErrorCode.NoResults,
+    action: "fix_input",
+    hint: "Nothing matched; try other locations or another travel mode"
+  },
+  NOT_FOUND: {
+    code: ServerErrorCode.NotFound,
+    action: "fix_input",
+    hint: "A location could not be found; check the origin, destination and stops"
+  },
+  INVALID_REQUEST: {
+    code: ServerErrorCode.InvalidUpstreamRequest,
+    action: "fix_input",
+    hint: "The routing provider rejected the request; check the parameters"
+  },
+  OVER_QUERY_LIMIT: {
+    code: ServerErrorCode.UpstreamRateLimited,
+    action: "retry_later",
+    hint: "The routing provider is rate limiting this server; retry in a minute"
+  },
+  UNAVAILABLE: {
+    code: ServerErrorCode.UpstreamUnavailable,
+    action: "retry_later",
+    hint: "The routing provider failed or could not be reached; retry later"
+  },
+  TIMEOUT: {
+    code: ServerErrorCode.UpstreamTimeout,
+    action: "retry_later",
+    hint: "The routing provider did not answer in time; retry later"
+  },
+  CIRCUIT_OPEN: {
+    code: ServerErrorCode.CircuitOpen,
+    action: "retry_later",
+    hint: "Upstream calls are paused after repeated failures; retry later"
+  },
+  REQUEST_DENIED: {
+    code: ServerErrorCode.UpstreamDenied,
+    action: "check_configuration",
+    hint: "The routing provider refused the API key; check GOOGLE_MAPS_API_KEY and the APIs enabled for it"
+  },
+  OVER_DAILY_LIMIT: {
+    code: ServerErrorCode.UpstreamQuotaExceeded,
+    action: "check_configuration",
+    hint: "The API key's quota or billing is exhausted; check the Google Cloud project"
+  }
+};
+
+// Google statuses that share a mapping with another status
+const STATUS_ALIASES = {
+  MAX_WAYPOINTS_EXCEEDED: "INVALID_REQUEST",
+  MAX_ROUTE_LENGTH_EXCEEDED: "INVALID_REQUEST",
+  MAX_ELEMENTS_EXCEEDED: "INVALID_REQUEST",
+  MAX_DIMENSIONS_EXCEEDED: "INVALID_REQUEST",
+  UNKNOWN_ERROR: "UNAVAILABLE"
+};
+
+// A failed call to the routing provider. `status` is one of UPSTREAM_ERRORS
+// (or an alias of one); unknown statuses count as UNAVAILABLE.
+export class UpstreamError extends Error {
+  constructor(status, message = status, { retryAfterSeconds } = {}) {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+
+  get kind() {
+    const status = STATUS_ALIASES[this.status] || this.status;
+    return UPSTREAM_ERRORS[status] ? status : "UNAVAILABLE";
+  }
+
+  // Worth retrying right away; rate limits and outages usually pass, a bad
+  // request or key never does
+  get retryable() {
+    return ["OVER_QUERY_LIMIT", "UNAVAILABLE", "TIMEOUT"].includes(this.kind);
+  }
+}
+
+// Thrown instead of calling the routing provider once a spending cap is hit.
+// The response cache keeps serving what it has, including expired entries.
+export class BudgetExceededError extends Error {
+  constructor({ period, limit_usd, spent_usd, resets_at }) {
+    super(`Upstream ${period} budget of $${limit_usd.toFixed(2)} reached ($${spent_usd.toFixed(2)} spent); only cached results are available until ${resets_at}`);
+    this.name = "BudgetExceededError";
+    this.code = ServerErrorCode.BudgetExceeded;
+    this.period = period;
+    this.resetsAt = resets_at;
+  }
+}
+
+// Converts an upstream or budget failure into an McpError with a distinct
+// code and `data.action` telling the client what to do. Other errors
+// (including McpErrors) are returned unchanged.
+export function toMcpError(error, context) {
+  const prefix = context ? `${context}: ` : "";
+  if (error instanceof UpstreamError) {
+    const { code, action, hint } = UPSTREAM_ERRORS[error.kind];
+    return new McpError(code, `${prefix}${error.message.replace(/\.$/, "")}. ${hint}.`, {
+      upstream_status: error.status,
+      action,
+      ...(error.retryAfterSeconds && { retry_after_seconds: error.retryAfterSeconds })
+    });
+  }
+  if (error instanceof BudgetExceededError) {
+    return new McpError(error.code, `${prefix}${error.message}`, {
+      action: "retry_later",
+      period: error.period,
+      resets_at: error.resetsAt
+    });
+  }
+  return error;
+}
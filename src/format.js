@@ -0,0 +1,44 @@
+// Human-readable formatting that matches the style of Google's `text` fields,
+// so tool output reads the same regardless of which provider produced it.
+
+export function formatDuration(seconds) {
+  if (seconds <= 0) {
+    return "0 mins";
+  }
+  const totalMinutes = Math.max(1, Math.round(seconds / 60));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  const parts = [];
+  if (hours > 0) {
+    parts.push(`${hours} hour${hours === 1 ? "" : "s"}`);
+  }
+  if (minutes > 0) {
+    parts.push(`${minutes} min${minutes === 1 ? "" : "s"}`);
+  }
+  return parts.join(" ");
+}
+
+export function formatDistance(meters, units = "metric") {
+  if (units === "imperial") {
+    const miles = meters / 1609.344;
+    return miles < 0.1 ? `${Math.round(meters * 3.28084)} ft` : `${miles.toFixed(1)} mi`;
+  }
+  if (meters < 1000) {
+    return `${Math.round(meters)} m`;
+  }
+  return `${(meters / 1000).toFixed(1)} km`;
+}
+
+export function stripHtml(html) {
+  return html.replace(/<[^>]*>/g, '');
+}
+
+// Clock time like "8:15 AM", in the stop's time zone when known
+export function formatClockTime(time, timeZone) {
+  return new Date(time).toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+    ...(timeZone && { timeZone })
+  });
+}
@@ -0,0 +1,69 @@
+// Helpers for `{ lat, lng }` points: parsing 'lat,lng' strings, and
+// spherical-earth math accurate to well under a percent at city scale, which
+// is all sampling and fixtures need.
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// `{ lat, lng }` for a 'lat,lng' location string, or null for anything else
+// (addresses, place IDs, saved places)
+export function parseCoordinates(location) {
+  const match = String(location).match(/^(-?\d+\.?\d*),\s*(-?\d+\.?\d*)$/);
+  return match ? { lat: Number(match[1]), lng: Number(match[2]) } : null;
+}
+
+// Great-circle (haversine) distance
+export function distanceMeters(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+// Initial compass bearing from a to b: 0 is north, 90 east
+export function bearingDegrees(a, b) {
+  const dLng = toRadians(b.lng - a.lng);
+  const y = Math.sin(dLng) * Math.cos(toRadians(b.lat));
+  const x = Math.cos(toRadians(a.lat)) * Math.sin(toRadians(b.lat)) -
+    Math.sin(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.cos(dLng);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+// The point `northMeters` north and `eastMeters` east of `origin` (flat-earth
+// approximation, fine over a few tens of kilometers)
+export function offsetPoint(origin, northMeters, eastMeters) {
+  return {
+    lat: round(origin.lat + toDegrees(northMeters / EARTH_RADIUS_METERS)),
+    lng: round(origin.lng + toDegrees(eastMeters / (EARTH_RADIUS_METERS * Math.cos(toRadians(origin.lat)))))
+  };
+}
+
+// Average of the points; close enough to the middle for points a city apart
+export function centroid(points) {
+  return {
+    lat: round(points.reduce((sum, point) => sum + point.lat, 0) / points.length),
+    lng: round(points.reduce((sum, point) => sum + point.lng, 0) / points.length)
+  };
+}
+
+// Area of a [lng, lat] ring in square meters, projected around its first point
+export function ringAreaSquareMeters(ring) {
+  const [lng0, lat0] = ring[0];
+  const metersPerDegreeLat = toRadians(1) * EARTH_RADIUS_METERS;
+  const metersPerDegreeLng = metersPerDegreeLat * Math.cos(toRadians(lat0));
+  const points = ring.map(([lng, lat]) => [(lng - lng0) * metersPerDegreeLng, (lat - lat0) * metersPerDegreeLat]);
+
+  let twiceArea = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    twiceArea += points[i][0] * points[i + 1][1] - points[i + 1][0] * points[i][1];
+  }
+  return Math.abs(twiceArea) / 2;
+}
+
+// 5 decimal places is about a meter
+function round(degrees) {
+  return Math.round(degrees * 1e5) / 1e5;
+}
@@ -0,0 +1,176 @@
+import { readFileSync } from "fs";
+import { appendFile, mkdir, rename, writeFile } from "fs/promises";
+import { dirname } from "path";
+import { normalizeLocation } from "./cache.js";
+import { logger } from "./logger.js";
+import { dataPath } from "./storage.js";
+
+export const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Records live travel-time observations per route and summarizes them by
+// weekday and hour (server local time). Observations are appended to a JSON
+// Lines file; entries older than the retention period are dropped on load.
+export class TrafficHistory {
+  constructor({ filePath, retentionDays = 90 } = {}) {
+    this.filePath = filePath;
+    this.retentionDays = retentionDays;
+    this.routes = new Map();
+    this.pendingWrite = Promise.resolve();
+
+    if (filePath) {
+      this.load();
+    }
+  }
+
+  routeKey({ origin, destination, mode = "driving" }) {
+    return `${mode}|${normalizeLocation(origin)}|${normalizeLocation(destination)}`;
+  }
+
+  async record(route, { at = new Date(), duration, durationInTraffic }) {
+    const observation = {
+      route: this.routeKey(route),
+      at: at.toISOString(),
+      duration: duration,
+      duration_in_traffic: durationInTraffic ?? null
+    };
+
+    this.add(observation);
+    if (this.filePath) {
+      this.pendingWrite = this.pendingWrite
+        .catch(() => {})
+        .then(() => mkdir(dirname(this.filePath), { recursive: true }))
+        .then(() => appendFile(this.filePath, JSON.stringify(observation) + "\n"));
+    }
+    return this.pendingWrite;
+  }
+
+  observations(route) {
+    return this.routes.get(this.routeKey(route)) || [];
+  }
+
+  // Percentiles of travel time in traffic for each weekday/hour slot,
+  // optionally limited to observations made before a given time
+  profile(route, { weekday, hour, before } = {}) {
+    const slots = new Map();
+    for (const observation of this.observations(route)) {
+      const date = new Date(observation.at);
+      if ((weekday !== undefined && date.getDay() !== weekday) || (hour !== undefined && date.getHours() !== hour)) {
+        continue;
+      }
+      if (before && date >= before) {
+        continue;
+      }
+      const key = `${date.getDay()}-${date.getHours()}`;
+      if (!slots.has(key)) {
+        slots.set(key, { weekday: date.getDay(), hour: date.getHours(), values: [] });
+      }
+      slots.get(key).values.push(travelTime(observation));
+    }
+
+    return [...slots.values()]
+      .map(({ weekday, hour, values }) => ({ weekday, hour, ...summarize(values) }))
+      .sort((a, b) => ((a.weekday + 6) % 7) - ((b.weekday + 6) % 7) || a.hour - b.hour);
+  }
+
+  // Summary of the weekday/hour slot that `date` falls in, or null without data.
+  // Only earlier observations count, so a trip is never compared with itself.
+  typicalAt(route, date) {
+    return this.profile(route, { weekday: date.getDay(), hour: date.getHours(), before: date })[0] || null;
+  }
+
+  // Share of earlier trips in the same slot that were faster than `seconds`
+  percentileRank(route, date, seconds) {
+    const values = this.observations(route)
+      .filter(observation => {
+        const at = new Date(observation.at);
+        return at < date && at.getDay() === date.getDay() && at.getHours() === date.getHours();
+      })
+      .map(travelTime);
+
+    if (values.length === 0) {
+      return null;
+    }
+    return Math.round((values.filter(value => value < seconds).length / values.length) * 100);
+  }
+
+  add(observation) {
+    if (!this.routes.has(observation.route)) {
+      this.routes.set(observation.route, []);
+    }
+    this.routes.get(observation.route).push(observation);
+  }
+
+  load() {
+    let lines;
+    try {
+      lines = readFileSync(this.filePath, "utf8").split("\n").filter(Boolean);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.warn("Ignoring unreadable history file", { file: this.filePath, error });
+      }
+      return;
+    }
+
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    let kept = 0;
+    for (const line of lines) {
+      try {
+        const observation = JSON.parse(line);
+        if (new Date(observation.at).getTime() >= cutoff) {
+          this.add(observation);
+          kept++;
+        }
+      } catch {
+        // Skip a partially written last line
+      }
+    }
+
+    if (kept < lines.length) {
+      this.pendingWrite = this.compact().catch(error => logger.error("Failed to compact history file", { file: this.filePath, error }));
+    }
+  }
+
+  // Rewrites the file without expired or unreadable entries
+  async compact() {
+    const lines = [...this.routes.values()].flat().map(observation => JSON.stringify(observation) + "\n");
+    const tmpPath = `${this.filePath}.tmp`;
+    await writeFile(tmpPath, lines.join(""));
+    await rename(tmpPath, this.filePath);
+  }
+
+  async flush() {
+    await this.pendingWrite;
+  }
+}
+
+export function createHistoryFromEnv(env = process.env) {
+  if (env.TRAFFIC_HISTORY !== "on") {
+    return null;
+  }
+  return new TrafficHistory({
+    filePath: env.TRAFFIC_HISTORY_FILE || dataPath("history.jsonl", env),
+    retentionDays: Number(env.TRAFFIC_HISTORY_RETENTION_DAYS) || 90
+  });
+}
+
+function travelTime(observation) {
+  return observation.duration_in_traffic ?? observation.duration;
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    samples: sorted.length,
+    p10: percentile(sorted, 10),
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90)
+  };
+}
+
+// Linear interpolation between closest ranks
+function percentile(sorted, p) {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower));
+}
@@ -0,0 +1,89 @@
+import { bearingDegrees, distanceMeters, offsetPoint, ringAreaSquareMeters } from "./geo.js";
+
+// Reachable areas ("isochrones") are estimated by sampling travel times from
+// the origin to a square grid of points, clipped to a circle, and drawing a
+// polygon through the farthest reachable sample in each direction.
+
+// Fastest plausible average speed per mode. The grid reaches as far as this
+// speed gets in the time budget, so nothing reachable lies outside it.
+export const MAX_SPEEDS_KMH = { driving: 80, bicycling: 20, walking: 6, transit: 40 };
+
+export const MIN_RESOLUTION = 3;
+
+// Grid positions inside the unit circle as [north, east] fractions of the
+// radius, for `resolution` points per side (odd, so the origin is a grid point
+// and is left out)
+function gridOffsets(resolution) {
+  const half = (resolution - 1) / 2;
+  const offsets = [];
+  for (let row = half; row >= -half; row--) {
+    for (let column = -half; column <= half; column++) {
+      if ((row !== 0 || column !== 0) && row * row + column * column <= half * half) {
+        offsets.push([row / half, column / half]);
+      }
+    }
+  }
+  return offsets;
+}
+
+export function samplingGrid(origin, radiusMeters, resolution) {
+  return gridOffsets(resolution).map(([north, east]) => offsetPoint(origin, north * radiusMeters, east * radiusMeters));
+}
+
+// The finest resolution up to `resolution` whose grid has at most `maxPoints`
+// points, or null if even the coarsest grid is too big
+export function fitResolution(resolution, maxPoints) {
+  for (let candidate = resolution; candidate >= MIN_RESOLUTION; candidate -= 2) {
+    if (gridOffsets(candidate).length <= maxPoints) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// GeoJSON Polygon through the farthest reachable point in each of `sectors`
+// equal slices around the origin, or null with fewer than three corners.
+// The ring is star-shaped around the origin, so it never crosses itself.
+export function reachablePolygon(origin, reachable, sectors) {
+  const farthest = new Map();
+  for (const point of reachable) {
+    const bearing = bearingDegrees(origin, point);
+    const distance = distanceMeters(origin, point);
+    const sector = Math.floor(bearing / (360 / sectors)) % sectors;
+    if (!farthest.has(sector) || farthest.get(sector).distance < distance) {
+      farthest.set(sector, { point, bearing, distance });
+    }
+  }
+
+  // Counterclockwise, as RFC 7946 wants for outer rings
+  const corners = [...farthest.values()].sort((a, b) => b.bearing - a.bearing);
+
+  // When everything reachable lies to one side, pass through the origin so
+  // the polygon still contains it
+  if (corners.length > 0) {
+    let widestGap = 0;
+    let after = 0;
+    corners.forEach((corner, index) => {
+      const next = corners[(index + 1) % corners.length];
+      const gap = corners.length === 1 ? 360 : (corner.bearing - next.bearing + 360) % 360;
+      if (gap > widestGap) {
+        widestGap = gap;
+        after = index;
+      }
+    });
+    if (widestGap > 180) {
+      corners.splice(after + 1, 0, { point: origin });
+    }
+  }
+
+  if (corners.length < 3) {
+    return null;
+  }
+  const ring = corners.map(({ point }) => [point.lng, point.lat]);
+  ring.push(ring[0]);
+  return { type: "Polygon", coordinates: [ring] };
+}
+
+export function polygonAreaKm2(polygon) {
+  return Math.round(ringAreaSquareMeters(polygon.coordinates[0]) / 10000) / 100;
+}
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+dotenv.config(); // Load environment variables from .env file
+
+import { createApiKeyStoreFromEnv } from "./auth.js";
+
+// Manages the API keys accepted in HTTP mode:
+//   npm run keys -- add <client-id> [--rate-limit <per minute>] [--daily-quota <tool calls>]
+//   npm run keys -- list
+//   npm run keys -- revoke <key-id>
+const USAGE = 'Usage: npm run keys -- add <client-id> [--rate-limit N] [--daily-quota N] | list | revoke <key-id>';
+
+const store = createApiKeyStoreFromEnv();
+const [command, ...args] = process.argv.slice(2);
+
+function option(name) {
+  const index = args.indexOf(name);
+  if (index === -1) {
+    return null;
+  }
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    fail(`${name} must be a whole number (0 for no limit)`);
+  }
+  return value;
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+if (command === 'add') {
+  const clientId = args[0];
+  if (!clientId || clientId.startsWith('--')) {
+    fail(USAGE);
+  }
+  const { key, entry } = await store.create(clientId, {
+    rateLimitPerMinute: option('--rate-limit'),
+    dailyQuota: option('--daily-quota')
+  });
+  console.log(`Created key ${entry.id} for client '${clientId}' in ${store.filePath}`);
+  console.log('Store it now, it cannot be shown again:');
+  console.log(key);
+} else if (command === 'list') {
+  const keys = store.list();
+  if (keys.length === 0) {
+    console.log(`No API keys in ${store.filePath}`);
+  }
+  for (const entry of keys) {
+    const limits = [
+      `rate limit ${entry.rate_limit_per_minute ?? 'default'}`,
+      `daily quota ${entry.daily_quota ?? 'default'}`
+    ];
+    console.log(`${entry.id}  ${entry.client_id}  created ${entry.created_at}  ${limits.join(', ')}`);
+  }
+} else if (command === 'revoke') {
+  if (!args[0]) {
+    fail(USAGE);
+  }
+  if (!(await store.revoke(args[0]))) {
+    fail(`No API key with id ${args[0]}`);
+  }
+  console.log(`Revoked key ${args[0]}`);
+} else {
+  fail(USAGE);
+}
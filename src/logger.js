@@ -0,0 +1,104 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+export const LOG_LEVELS = ["error", "warn", "info", "debug"];
+
+// Fields that can say where someone lives or works. Their values never reach
+// the log, however deeply they are nested.
+const LOCATION_FIELDS = new Set([
+  "origin", "destination", "origins", "destinations", "location", "address",
+  "near", "query", "waypoints", "stops", "input", "start_address", "end_address",
+  "start_location", "end_location", "lat", "lng", "latitude", "longitude", "sites", "venues"
+]);
+
+// Per-request fields (request_id, tool, client_id, ...) added to every line
+// logged while handling the request
+export const logContext = new AsyncLocalStorage();
+
+// Writes one JSON object per line to stderr, which stays free for logs in
+// stdio mode where stdout carries the protocol
+export class Logger {
+  constructor({ level = "info", stream = process.stderr, fields = {}, root } = {}) {
+    this.root = root || this;
+    this.stream = stream;
+    this.fields = fields;
+    if (!root) {
+      this.setLevel(level);
+    }
+  }
+
+  setLevel(level) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level '${level}'. Expected one of: ${LOG_LEVELS.join(", ")}`);
+    }
+    this.root.level = level;
+  }
+
+  enabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.root.level);
+  }
+
+  // A logger that adds `fields` to every line and shares this one's level
+  child(fields) {
+    return new Logger({ stream: this.stream, fields: { ...this.fields, ...fields }, root: this.root });
+  }
+
+  log(level, message, fields = {}) {
+    if (!this.enabled(level)) {
+      return;
+    }
+    const line = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.fields,
+      ...logContext.getStore(),
+      ...fields
+    };
+    this.stream.write(`${JSON.stringify(redact(line))}\n`);
+  }
+
+  error(message, fields) {
+    this.log("error", message, fields);
+  }
+
+  warn(message, fields) {
+    this.log("warn", message, fields);
+  }
+
+  info(message, fields) {
+    this.log("info", message, fields);
+  }
+
+  debug(message, fields) {
+    this.log("debug", message, fields);
+  }
+}
+
+// Shared by the whole server; the entry point sets its level from the config
+export const logger = new Logger();
+
+export function redact(value, key) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  if (key !== undefined && LOCATION_FIELDS.has(key)) {
+    return "[redacted]";
+  }
+  // Error messages can quote what was asked for (an address that wasn't found,
+  // a malformed location), so only what kind of error it was is logged
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      ...(value.code !== undefined && { code: value.code }),
+      ...(typeof value.status === "string" || typeof value.status === "number" ? { status: value.status } : {}),
+      ...(value.data?.upstream_status && { upstream_status: value.data.upstream_status })
+    };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item));
+  }
+  if (typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name)]));
+  }
+  return value;
+}
@@ -0,0 +1,183 @@
+import { UpstreamError } from "./errors.js";
+
+// Latency buckets in seconds, from cache hits to a slow upstream with retries
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// In-memory Prometheus metrics, rendered in the text exposition format on
+// GET /metrics. Counters start over when the server restarts.
+export class Metrics {
+  constructor() {
+    this.metrics = [];
+
+    this.toolCalls = this.counter(
+      "traffic_tool_calls_total",
+      "Tool calls by tool and outcome (ok or error)",
+      ["tool", "status"]
+    );
+    this.toolDuration = this.histogram(
+      "traffic_tool_duration_seconds",
+      "Time to answer a tool call",
+      ["tool"]
+    );
+    this.upstreamRequests = this.counter(
+      "traffic_upstream_requests_total",
+      "Calls to the routing provider, including retries, by result (ok or the upstream status)",
+      ["provider", "method", "result"]
+    );
+    this.upstreamDuration = this.histogram(
+      "traffic_upstream_duration_seconds",
+      "Time for a single call to the routing provider",
+      ["provider", "method"]
+    );
+  }
+
+  counter(name, help, labelNames) {
+    return this.add(new Counter(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    return this.add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  // A value read when metrics are scraped; `collect` returns [{ labels, value }]
+  gauge(name, help, collect, type = "gauge") {
+    return this.add({ name, help, type, samples: () => collect().map(({ labels = {}, value }) => ({ name, labels, value })) });
+  }
+
+  add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      for (const { name, labels, value } of metric.samples()) {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+class Counter {
+  constructor(name, help, labelNames) {
+    this.name = name;
+    this.help = help;
+    this.type = "counter";
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  inc(labels, amount = 1) {
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  samples() {
+    return [...this.values].map(([key, value]) => ({ name: this.name, labels: JSON.parse(key), value }));
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames, buckets) {
+    this.name = name;
+    this.help = help;
+    this.type = "histogram";
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = labelKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  samples() {
+    const samples = [];
+    for (const [key, { counts, sum, count }] of this.series) {
+      const labels = JSON.parse(key);
+      this.buckets.forEach((bound, index) => {
+        samples.push({ name: `${this.name}_bucket`, labels: { ...labels, le: String(bound) }, value: counts[index] });
+      });
+      samples.push(
+        { name: `${this.name}_bucket`, labels: { ...labels, le: "+Inf" }, value: count },
+        { name: `${this.name}_sum`, labels, value: sum },
+        { name: `${this.name}_count`, labels, value: count }
+      );
+    }
+    return samples;
+  }
+}
+
+// Label values in a fixed order, so the same labels always map to one series
+function labelKey(labelNames, labels) {
+  return JSON.stringify(Object.fromEntries(labelNames.map(name => [name, String(labels[name] ?? "")])));
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  return Number.isFinite(value) ? String(value) : "NaN";
+}
+
+// Provider decorator that times every call to the upstream and counts the
+// results. It sits directly on the raw provider, so each retry is counted and
+// cached answers and budget refusals are not.
+export class InstrumentedProvider {
+  constructor(provider, metrics) {
+    this.provider = provider;
+    this.metrics = metrics;
+    this.name = provider.name;
+
+    for (const method of ["distanceMatrix", "geocode", "reverseGeocode", "searchPlaces"]) {
+      if (provider[method]) {
+        this[method] = request => this.instrumented(method, request);
+      }
+    }
+  }
+
+  directions(request) {
+    return this.instrumented("directions", request);
+  }
+
+  async instrumented(method, request) {
+    const started = process.hrtime.bigint();
+    let result = "ok";
+    try {
+      return await this.provider[method](request);
+    } catch (error) {
+      result = error instanceof UpstreamError ? error.kind.toLowerCase() : "error";
+      throw error;
+    } finally {
+      const labels = { provider: this.name, method };
+      this.metrics.upstreamRequests.inc({ ...labels, result });
+      this.metrics.upstreamDuration.observe(labels, secondsSince(started));
+    }
+  }
+}
+
+export function secondsSince(started) {
+  return Number(process.hrtime.bigint() - started) / 1e9;
+}
@@ -0,0 +1,60 @@
+import { dataPath, readJsonFile, writeJsonFile } from "./storage.js";
+
+// Named locations ("@home", "@work") saved per user and persisted to a JSON file.
+// Routing tools accept "@alias" anywhere they accept a location string.
+export class SavedPlacesStore {
+  constructor({ filePath } = {}) {
+    this.filePath = filePath;
+    this.users = filePath ? readJsonFile(filePath, { users: {} }).users : {};
+    this.pendingWrite = Promise.resolve();
+  }
+
+  list(userId) {
+    return Object.values(this.users[userId] || {}).sort((a, b) => a.alias.localeCompare(b.alias));
+  }
+
+  get(userId, alias) {
+    return this.users[userId]?.[normalizeAlias(alias)] || null;
+  }
+
+  async save(userId, place) {
+    const alias = normalizeAlias(place.alias);
+    const entry = { ...place, alias, saved_at: new Date().toISOString() };
+
+    this.users[userId] = { ...this.users[userId], [alias]: entry };
+    await this.persist();
+    return entry;
+  }
+
+  async delete(userId, alias) {
+    const key = normalizeAlias(alias);
+    if (!this.users[userId]?.[key]) {
+      return false;
+    }
+
+    delete this.users[userId][key];
+    await this.persist();
+    return true;
+  }
+
+  // Writes are chained so concurrent saves never interleave on disk
+  persist() {
+    if (!this.filePath) {
+      return Promise.resolve();
+    }
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(() => writeJsonFile(this.filePath, { users: this.users }));
+    return this.pendingWrite;
+  }
+}
+
+export function normalizeAlias(alias) {
+  return alias.replace(/^@/, '').trim().toLowerCase();
+}
+
+export function createPlacesStoreFromEnv(env = process.env) {
+  return new SavedPlacesStore({
+    filePath: env.TRAFFIC_PLACES_FILE || dataPath("places.json", env)
+  });
+}
@@ -0,0 +1,290 @@
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { formatClockTime, formatDuration } from "../format.js";
+import { distanceMeters, parseCoordinates } from "../geo.js";
+import { deriveRouteFlags } from "./flags.js";
+
+const DEFAULT_FIXTURES_PATH = fileURLToPath(new URL("../../fixtures/directions.json", import.meta.url));
+const DEFAULT_PLACES_PATH = fileURLToPath(new URL("../../fixtures/places.json", import.meta.url));
+
+// Multipliers for the recorded traffic delay under each traffic model
+const MODEL_DELAY_FACTORS = { optimistic: 0.5, best_guess: 1, pessimistic: 1.6 };
+
+// Estimates for matrix pairs with no recorded route (see estimateElement):
+// average speed per mode, how much longer roads are than the straight line,
+// and how much typical traffic adds to a drive
+const ESTIMATE_SPEEDS_KMH = { driving: 45, bicycling: 15, walking: 4.8, transit: 22 };
+const DETOUR_FACTOR = 1.3;
+const ESTIMATE_TRAFFIC_FACTOR = 1.25;
+
+// Serves canned, already-normalized routes from a JSON file so the server can
+// run without network access. Entries are matched on origin, destination and
+// mode; units, language and transit preferences are ignored, so results never
+// change between calls. Recorded traffic counts as "best_guess": the other
+// traffic models scale its delay. Routes with tolls, highways or ferries are
+// left out when asked to avoid them, and transit timetables are shifted to the
+// requested departure or arrival time. Only the first route is returned unless
+// alternatives are requested.
+//
+// Geocoding and place search are answered from a second file of places, each
+// listing the query strings (`aliases`) it should match.
+//
+// Distance matrix pairs without a recorded route, where one end is a 'lat,lng'
+// coordinate and the other is a coordinate or a known place, are estimated
+// from the straight-line distance. That lets grid sampling (e.g. reachable
+// areas) work offline.
+export class FixtureProvider {
+  constructor({ fixturesPath = DEFAULT_FIXTURES_PATH, fixtures, placesPath = DEFAULT_PLACES_PATH, places } = {}) {
+    this.name = "fixture";
+    this.fixtures = new Map();
+
+    const entries = fixtures || JSON.parse(readFileSync(fixturesPath, "utf8"));
+    for (const entry of entries) {
+      this.fixtures.set(fixtureKey(entry.origin, entry.destination, entry.mode || "driving"), entry.routes);
+    }
+
+    this.places = places || JSON.parse(readFileSync(placesPath, "utf8"));
+  }
+
+  // Looks up routes, accepting "place_id:<id>" for any place in the places file
+  routesFor(origin, destination, mode, avoid = []) {
+    const routes = this.fixtures.get(fixtureKey(this.resolvePlaceId(origin), this.resolvePlaceId(destination), mode));
+    return routes?.filter(route => !avoid.some(feature => (route.flags || deriveRouteFlags(route))[feature]));
+  }
+
+  resolvePlaceId(location) {
+    if (!location.startsWith("place_id:")) {
+      return location;
+    }
+    const place = this.placeById(location);
+    return place ? place.aliases[0] || place.address : location;
+  }
+
+  placeById(location) {
+    return this.places.find(candidate => candidate.place_id === location.slice("place_id:".length));
+  }
+
+  async geocode({ address }) {
+    if (address.startsWith("place_id:")) {
+      const place = this.placeById(address);
+      return { results: place ? [toResult(place)] : [] };
+    }
+    const query = normalizeQuery(address);
+    const matches = this.places.filter(place => place.aliases.some(alias => normalizeQuery(alias) === query));
+    return { results: matches.map(toResult) };
+  }
+
+  async reverseGeocode({ lat, lng }) {
+    // Nearest known place within 2 km
+    const nearby = this.places
+      .map(place => ({ place, meters: distanceMeters({ lat, lng }, place.location) }))
+      .filter(({ meters }) => meters <= 2000)
+      .sort((a, b) => a.meters - b.meters);
+    return { results: nearby.map(({ place }) => toResult(place)) };
+  }
+
+  async searchPlaces({ query, location, radius = 5000 }) {
+    const needle = normalizeQuery(query);
+    const matches = this.places.filter(place =>
+      place.aliases.some(alias => normalizeQuery(alias) === needle) ||
+      normalizeQuery(`${place.name} ${place.address}`).includes(needle) ||
+      place.types.includes(needle.replace(/\s+/g, '_'))
+    );
+    const inRange = location
+      ? matches.filter(place => distanceMeters(location, place.location) <= radius)
+      : matches;
+    return { results: inRange.map(toResult) };
+  }
+
+  async directions({
+    origin,
+    destination,
+    mode,
+    departureTime,
+    arrivalTime,
+    trafficModel,
+    alternatives,
+    waypoints = [],
+    optimizeWaypoints,
+    avoid
+  }) {
+    if (waypoints.length > 0) {
+      const result = this.chainedDirections([origin, ...waypoints, destination], mode, optimizeWaypoints, avoid);
+      for (const leg of result.routes[0]?.legs || []) {
+        applyTrafficModel(leg, trafficModel);
+      }
+      return result;
+    }
+
+    const routes = this.routesFor(origin, destination, mode, avoid) || [];
+    // Deep copy so callers can't mutate the shared fixture data
+    const selected = structuredClone(alternatives ? routes : routes.slice(0, 1));
+    for (const route of selected) {
+      route.flags = route.flags || deriveRouteFlags(route);
+      for (const leg of route.legs) {
+        shiftTimetable(leg, { departureTime, arrivalTime });
+        applyTrafficModel(leg, trafficModel);
+      }
+    }
+    return { routes: selected };
+  }
+
+  async distanceMatrix({ origins, destinations, mode, trafficModel, avoid }) {
+    const lookup = (origin, destination) =>
+      this.routesFor(origin, destination, mode, avoid)?.[0]?.legs[0] || this.estimateElement(origin, destination, mode);
+
+    return {
+      origin_addresses: origins.map(origin =>
+        destinations.map(destination => lookup(origin, destination)?.start_address).find(Boolean) || origin
+      ),
+      destination_addresses: destinations.map(destination =>
+        origins.map(origin => lookup(origin, destination)?.end_address).find(Boolean) || destination
+      ),
+      rows: origins.map(origin => ({
+        elements: destinations.map(destination => {
+          const leg = lookup(origin, destination);
+          if (!leg) {
+            return { status: "ZERO_RESULTS", distance: null, duration: null, duration_in_traffic: null };
+          }
+          const element = structuredClone({ status: "OK", distance: leg.distance, duration: leg.duration, duration_in_traffic: leg.duration_in_traffic });
+          applyTrafficModel(element, trafficModel);
+          return element;
+        })
+      }))
+    };
+  }
+
+  estimateElement(origin, destination, mode = "driving") {
+    if (!parseCoordinates(origin) && !parseCoordinates(destination)) {
+      return null;
+    }
+    const from = this.pointFor(origin);
+    const to = this.pointFor(destination);
+    if (!from || !to) {
+      return null;
+    }
+
+    const meters = Math.round(distanceMeters(from.location, to.location) * DETOUR_FACTOR);
+    const seconds = Math.round(meters / (ESTIMATE_SPEEDS_KMH[mode] / 3.6));
+    const inTraffic = Math.round(seconds * ESTIMATE_TRAFFIC_FACTOR);
+    return {
+      start_address: from.address,
+      end_address: to.address,
+      distance: { value: meters, text: `${(meters / 1000).toFixed(1)} km` },
+      duration: { value: seconds, text: formatDuration(seconds) },
+      duration_in_traffic: mode === "driving" ? { value: inTraffic, text: formatDuration(inTraffic) } : null
+    };
+  }
+
+  // Location and address of a 'lat,lng' string or a known place
+  pointFor(location) {
+    const coordinates = parseCoordinates(location);
+    if (coordinates) {
+      return { location: coordinates, address: location };
+    }
+    if (location.startsWith("place_id:")) {
+      return this.placeById(location) || null;
+    }
+    const query = normalizeQuery(location);
+    return this.places.find(place => place.aliases.some(alias => normalizeQuery(alias) === query)) || null;
+  }
+
+  // Multi-stop requests are stitched together from the pairwise fixtures. When
+  // optimizing, every ordering of the intermediate stops is tried (fixtures are
+  // small, so brute force is fine) and the shortest total duration wins.
+  chainedDirections(stops, mode, optimize, avoid) {
+    const middle = stops.slice(1, -1).map((_, index) => index);
+    const orders = optimize ? permutations(middle) : [middle];
+
+    let best = null;
+    for (const order of orders) {
+      const sequence = [stops[0], ...order.map(index => stops[index + 1]), stops[stops.length - 1]];
+      const legs = [];
+      for (let i = 0; i < sequence.length - 1; i++) {
+        const route = this.routesFor(sequence[i], sequence[i + 1], mode, avoid)?.[0];
+        if (!route) {
+          break;
+        }
+        legs.push(route);
+      }
+      if (legs.length !== sequence.length - 1) {
+        continue;
+      }
+
+      const total = legs.reduce((sum, route) => sum + route.legs[0].duration.value, 0);
+      if (!best || total < best.total) {
+        best = { order, legs, total };
+      }
+    }
+
+    if (!best) {
+      return { routes: [] };
+    }
+
+    const route = {
+      summary: best.legs.map(leg => leg.summary).filter(Boolean).join(", "),
+      warnings: [...new Set(best.legs.flatMap(leg => leg.warnings))],
+      waypoint_order: best.order,
+      legs: structuredClone(best.legs.map(leg => leg.legs[0]))
+    };
+    route.flags = deriveRouteFlags(route);
+    return { routes: [route] };
+  }
+}
+
+// Scales the traffic delay of a leg for the requested traffic model
+function applyTrafficModel(leg, trafficModel = "best_guess") {
+  const factor = MODEL_DELAY_FACTORS[trafficModel] ?? 1;
+  if (factor === 1 || !leg.duration_in_traffic) {
+    return;
+  }
+  const seconds = Math.round(leg.duration.value + (leg.duration_in_traffic.value - leg.duration.value) * factor);
+  leg.duration_in_traffic = { value: seconds, text: formatDuration(seconds) };
+}
+
+// Moves a transit leg's times, in whole minutes, so it leaves no earlier than
+// the requested departure (default now) or arrives no later than the requested arrival
+function shiftTimetable(leg, { departureTime, arrivalTime }) {
+  if (!leg.departure_time || !leg.arrival_time) {
+    return;
+  }
+
+  const minute = 60 * 1000;
+  const offset = arrivalTime
+    ? Math.floor((new Date(arrivalTime) - Date.parse(leg.arrival_time.value)) / minute) * minute
+    : Math.ceil((new Date(departureTime && departureTime !== "now" ? departureTime : Date.now()) - Date.parse(leg.departure_time.value)) / minute) * minute;
+
+  const shift = time => {
+    const value = new Date(Date.parse(time.value) + offset).toISOString();
+    return { ...time, value, text: formatClockTime(value, time.time_zone) };
+  };
+  leg.departure_time = shift(leg.departure_time);
+  leg.arrival_time = shift(leg.arrival_time);
+  for (const step of leg.steps) {
+    if (step.transit) {
+      step.transit.departure_time = shift(step.transit.departure_time);
+      step.transit.arrival_time = shift(step.transit.arrival_time);
+    }
+  }
+}
+
+function permutations(items) {
+  if (items.length <= 1) {
+    return [items];
+  }
+  return items.flatMap((item, index) =>
+    permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest])
+  );
+}
+
+export function fixtureKey(origin, destination, mode) {
+  return [normalizeQuery(origin), normalizeQuery(destination), mode].join("|");
+}
+
+function normalizeQuery(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function toResult({ aliases, ...place }) {
+  return structuredClone(place);
+}
@@ -0,0 +1,16 @@
+// Best-effort road feature detection for providers that don't report road
+// classes directly (Google only surfaces tolls and ferries through warnings,
+// maneuvers and instruction text).
+
+const HIGHWAY_PATTERN = /\b(I-\d+|US-\d+|Interstate|Hwy|Highway|Expy|Expressway|Fwy|Freeway|Motorway|Tpke|Turnpike|Pkwy|Parkway|NH-?\d+|M\d+)\b/i;
+
+export function deriveRouteFlags(route, maneuvers = []) {
+  const steps = route.legs.flatMap(leg => leg.steps);
+  const texts = [route.summary, ...steps.map(step => step.instruction)];
+
+  return {
+    tolls: route.warnings.some(warning => /toll/i.test(warning)) || texts.some(text => /\btoll road\b/i.test(text)),
+    highways: texts.some(text => HIGHWAY_PATTERN.test(text)) || maneuvers.some(maneuver => /ramp|merge/.test(maneuver)),
+    ferries: maneuvers.some(maneuver => /ferry/.test(maneuver)) || texts.some(text => /\bferry\b/i.test(text))
+  };
+}
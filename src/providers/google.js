@@ -0,0 +1,237 @@
+import { Client } from "@googlemaps/google-maps-services-js";
+import { UpstreamError } from "../errors.js";
+import { stripHtml } from "../format.js";
+import { deriveRouteFlags } from "./flags.js";
+import { chunkedMatrix } from "./matrix.js";
+
+// Distance Matrix API limits per request
+const MATRIX_LIMITS = { maxOrigins: 25, maxDestinations: 25, maxElements: 100 };
+
+// HTTP errors without a Maps API status in the body
+const HTTP_STATUSES = { 400: "INVALID_REQUEST", 401: "REQUEST_DENIED", 403: "REQUEST_DENIED", 429: "OVER_QUERY_LIMIT" };
+
+export class GoogleProvider {
+  constructor({ apiKey, client } = {}) {
+    this.name = "google";
+    this.apiKey = apiKey;
+    this.client = client || new Client({});
+  }
+
+  async directions({
+    origin,
+    destination,
+    mode,
+    departureTime,
+    arrivalTime,
+    trafficModel,
+    alternatives,
+    waypoints,
+    optimizeWaypoints,
+    transitModes,
+    transitRoutingPreference,
+    avoid,
+    units,
+    language,
+    region,
+    signal
+  }) {
+    const params = {
+      origin,
+      destination,
+      mode,
+      ...localization({ avoid, units, language, region }),
+      key: this.apiKey
+    };
+
+    if (alternatives) {
+      params.alternatives = true;
+    }
+    if (waypoints?.length) {
+      params.waypoints = waypoints;
+      params.optimize = Boolean(optimizeWaypoints);
+    }
+
+    // Google only accepts traffic_model together with a departure time
+    if (departureTime) {
+      params.departure_time = departureTime;
+      if (trafficModel) {
+        params.traffic_model = trafficModel;
+      }
+    }
+    if (arrivalTime) {
+      params.arrival_time = arrivalTime;
+    }
+    if (transitModes?.length) {
+      params.transit_mode = transitModes;
+    }
+    if (transitRoutingPreference) {
+      params.transit_routing_preference = transitRoutingPreference;
+    }
+
+    const response = await this.send("directions", params, signal);
+
+    return {
+      routes: (response.data.routes || []).map(route => this.normalizeRoute(route, waypoints))
+    };
+  }
+
+  async distanceMatrix({ origins, destinations, mode, departureTime, trafficModel, avoid, units, language, region, signal }) {
+    return chunkedMatrix({ origins, destinations }, MATRIX_LIMITS, async (originBlock, destinationBlock) => {
+      const params = {
+        origins: originBlock,
+        destinations: destinationBlock,
+        mode,
+        ...localization({ avoid, units, language, region }),
+        key: this.apiKey
+      };
+      if (departureTime) {
+        params.departure_time = departureTime;
+        if (trafficModel) {
+          params.traffic_model = trafficModel;
+        }
+      }
+
+      const response = await this.send("distancematrix", params, signal);
+
+      return {
+        origin_addresses: response.data.origin_addresses,
+        destination_addresses: response.data.destination_addresses,
+        rows: response.data.rows.map(row => ({
+          elements: row.elements.map(element => ({
+            status: element.status,
+            distance: element.distance ? toMeasure(element.distance) : null,
+            duration: element.duration ? toMeasure(element.duration) : null,
+            duration_in_traffic: element.duration_in_traffic ? toMeasure(element.duration_in_traffic) : null
+          }))
+        }))
+      };
+    });
+  }
+
+  // Calls the Maps API and reports every failure as an UpstreamError. The
+  // client rejects non-2xx responses, which usually still carry a status.
+  // `signal` (from ResilientProvider) aborts the HTTP request.
+  async send(method, params, signal) {
+    let response;
+    try {
+      response = await this.client[method]({ params, signal });
+    } catch (error) {
+      if (error.response?.data?.status) {
+        checkStatus(error.response.data);
+      }
+      throw new UpstreamError(HTTP_STATUSES[error.response?.status] || "UNAVAILABLE", error.message);
+    }
+    checkStatus(response.data);
+    return response;
+  }
+
+  async geocode({ address, region, signal }) {
+    // The Geocoding API looks up place IDs by their own parameter
+    const query = address.startsWith("place_id:") ? { place_id: address.slice("place_id:".length) } : { address };
+    const response = await this.send("geocode", { ...query, ...(region && { region }), key: this.apiKey }, signal);
+    return { results: (response.data.results || []).map(normalizePlace) };
+  }
+
+  async reverseGeocode({ lat, lng, signal }) {
+    const response = await this.send("reverseGeocode", { latlng: { lat, lng }, key: this.apiKey }, signal);
+    return { results: (response.data.results || []).map(normalizePlace) };
+  }
+
+  async searchPlaces({ query, location, radius, signal }) {
+    const params = { query, key: this.apiKey };
+    if (location) {
+      params.location = location;
+      params.radius = radius || 5000;
+    }
+
+    const response = await this.send("textSearch", params, signal);
+    return { results: (response.data.results || []).map(normalizePlace) };
+  }
+
+  normalizeRoute(route, waypoints) {
+    const normalized = {
+      summary: route.summary || "",
+      warnings: route.warnings || [],
+      ...(waypoints?.length && { waypoint_order: route.waypoint_order || waypoints.map((_, index) => index) }),
+      legs: route.legs.map(leg => ({
+        start_address: leg.start_address,
+        end_address: leg.end_address,
+        start_location: leg.start_location,
+        end_location: leg.end_location,
+        distance: toMeasure(leg.distance),
+        duration: toMeasure(leg.duration),
+        duration_in_traffic: leg.duration_in_traffic ? toMeasure(leg.duration_in_traffic) : null,
+        ...(leg.departure_time && { departure_time: toTime(leg.departure_time) }),
+        ...(leg.arrival_time && { arrival_time: toTime(leg.arrival_time) }),
+        steps: (leg.steps || []).map(step => ({
+          instruction: stripHtml(step.html_instructions || ""),
+          distance: toMeasure(step.distance),
+          duration: toMeasure(step.duration),
+          travel_mode: (step.travel_mode || "").toLowerCase(),
+          ...(step.transit_details && { transit: normalizeTransit(step.transit_details) })
+        }))
+      }))
+    };
+
+    const maneuvers = route.legs.flatMap(leg => (leg.steps || []).map(step => step.maneuver || ""));
+    normalized.flags = deriveRouteFlags(normalized, maneuvers);
+    return normalized;
+  }
+}
+
+// Optional restriction and localization params, omitted when not set
+function localization({ avoid, units, language, region }) {
+  return {
+    ...(avoid?.length && { avoid }),
+    ...(units && { units }),
+    ...(language && { language }),
+    ...(region && { region })
+  };
+}
+
+// ZERO_RESULTS is a valid empty answer; anything else that isn't OK is a failure
+function checkStatus({ status, error_message: errorMessage }) {
+  if (status && status !== "OK" && status !== "ZERO_RESULTS") {
+    throw new UpstreamError(status, errorMessage ? `${status}: ${errorMessage}` : status);
+  }
+}
+
+function normalizePlace(result) {
+  return {
+    place_id: result.place_id,
+    name: result.name || result.formatted_address?.split(",")[0] || "",
+    address: result.formatted_address || result.vicinity || "",
+    location: result.geometry?.location || null,
+    types: result.types || [],
+    ...(result.rating !== undefined && { rating: result.rating }),
+    ...(result.partial_match && { partial_match: true })
+  };
+}
+
+function normalizeTransit(details) {
+  const { line = {} } = details;
+  return {
+    line: {
+      name: line.name || null,
+      short_name: line.short_name || null,
+      color: line.color || null,
+      agency: line.agencies?.[0]?.name || null,
+      vehicle_type: (line.vehicle?.type || "other").toLowerCase()
+    },
+    headsign: details.headsign || null,
+    departure_stop: { name: details.departure_stop.name, location: details.departure_stop.location },
+    arrival_stop: { name: details.arrival_stop.name, location: details.arrival_stop.location },
+    departure_time: toTime(details.departure_time),
+    arrival_time: toTime(details.arrival_time),
+    num_stops: details.num_stops
+  };
+}
+
+function toMeasure({ value, text }) {
+  return { value, text };
+}
+
+// Google gives transit times in Unix seconds
+function toTime({ value, text, time_zone }) {
+  return { value: new Date(value * 1000).toISOString(), text, time_zone };
+}
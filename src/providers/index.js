@@ -0,0 +1,82 @@
+import { existsSync } from "fs";
+import { Client } from "@googlemaps/google-maps-services-js";
+import { GoogleProvider } from "./google.js";
+import { OsrmProvider } from "./osrm.js";
+import { FixtureProvider } from "./fixture.js";
+import { Cassette, RecordingClient, ReplayClient } from "./recording.js";
+
+// A routing provider exposes a `name` and `directions(request)`, where request is
+//   { origin, destination, mode, departureTime, arrivalTime, trafficModel,
+//     alternatives, waypoints, optimizeWaypoints, transitModes,
+//     transitRoutingPreference, avoid, units, language, region }
+// and the result is `{ routes }` in a provider-neutral shape:
+//
+//   route: { summary, warnings, flags: { tolls, highways, ferries },
+//            waypoint_order, legs: [leg] }
+//   leg:   { start_address, end_address, start_location, end_location,
+//            distance, duration, duration_in_traffic, departure_time,
+//            arrival_time, steps: [step] }
+//   step:  { instruction, distance, duration, travel_mode, transit }
+//   transit: { line: { name, short_name, color, agency, vehicle_type },
+//              headsign, departure_stop, arrival_stop, departure_time,
+//              arrival_time, num_stops }
+//
+// Distances and durations are `{ value, text }` with value in meters/seconds.
+// `duration_in_traffic` is null when the provider has no traffic data. Step-level
+// traffic is optional (Google only reports it per leg); when present it lets
+// the congestion analysis say which road the delay is on.
+// `avoid` lists any of "tolls", "highways" and "ferries"; `units` ("metric" or
+// "imperial") and `language` only change the `text` fields and instructions.
+// Times are `{ value, text, time_zone }` with value an ISO timestamp; legs only
+// have them (and steps only have `transit`) for transit routes. Stops are
+// `{ name, location }` and `vehicle_type` is lowercase, e.g. "bus" or "subway".
+// `waypoint_order` is only present when waypoints were requested and lists
+// waypoint indices in visiting order; there is one leg per stop-to-stop hop.
+//
+// Providers also implement `distanceMatrix(request)` for many-to-many lookups:
+//   { origins, destinations, mode, departureTime, trafficModel, avoid, units,
+//     language, region }
+// resolving to { origin_addresses, destination_addresses, rows: [{ elements }] }
+// where each element is { status, distance, duration, duration_in_traffic }.
+// Providers split oversized requests to fit their upstream limits.
+//
+// An empty answer is a result with no routes/results. Failures are thrown as
+// UpstreamError (../errors.js) with a Google-style status, which decides how
+// they are retried and reported to clients.
+export const PROVIDERS = {
+  google: GoogleProvider,
+  osrm: OsrmProvider,
+  fixture: FixtureProvider
+};
+
+export function createProvider(name, options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown routing provider '${name}'. Expected one of: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+  return new Provider(options);
+}
+
+export function createProviderFromEnv(env = process.env) {
+  return createProvider(env.TRAFFIC_PROVIDER || "google", {
+    apiKey: env.GOOGLE_MAPS_API_KEY,
+    client: googleClientFromEnv(env),
+    baseUrl: env.OSRM_URL,
+    fixturesPath: env.TRAFFIC_FIXTURES || undefined
+  });
+}
+
+// TRAFFIC_REPLAY answers Google requests from a cassette recorded earlier with
+// TRAFFIC_RECORD (see recording.js)
+function googleClientFromEnv(env) {
+  if (env.TRAFFIC_REPLAY) {
+    if (!existsSync(env.TRAFFIC_REPLAY)) {
+      throw new Error(`Replay cassette not found: ${env.TRAFFIC_REPLAY}`);
+    }
+    return new ReplayClient(new Cassette({ filePath: env.TRAFFIC_REPLAY }));
+  }
+  if (env.TRAFFIC_RECORD) {
+    return new RecordingClient(new Client({}), new Cassette({ filePath: env.TRAFFIC_RECORD }));
+  }
+  return undefined;
+}
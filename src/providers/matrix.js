@@ -0,0 +1,40 @@
+// Splits a many-to-many request into blocks that fit a provider's limits and
+// stitches the blocks back into one table. `fetchBlock(origins, destinations)`
+// must resolve to { origin_addresses, destination_addresses, rows } for that block.
+export async function chunkedMatrix({ origins, destinations }, limits, fetchBlock) {
+  const originStep = Math.min(limits.maxOrigins, origins.length);
+  const destinationStep = Math.max(1, Math.min(
+    limits.maxDestinations,
+    destinations.length,
+    Math.floor(limits.maxElements / originStep)
+  ));
+
+  const result = {
+    origin_addresses: [...origins],
+    destination_addresses: [...destinations],
+    rows: origins.map(() => ({ elements: new Array(destinations.length) }))
+  };
+
+  for (let o = 0; o < origins.length; o += originStep) {
+    for (let d = 0; d < destinations.length; d += destinationStep) {
+      const block = await fetchBlock(
+        origins.slice(o, o + originStep),
+        destinations.slice(d, d + destinationStep)
+      );
+
+      block.origin_addresses.forEach((address, i) => {
+        result.origin_addresses[o + i] = address;
+      });
+      block.destination_addresses.forEach((address, j) => {
+        result.destination_addresses[d + j] = address;
+      });
+      block.rows.forEach((row, i) => {
+        row.elements.forEach((element, j) => {
+          result.rows[o + i].elements[d + j] = element;
+        });
+      });
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,221 @@
+import { formatDistance, formatDuration } from "../format.js";
+import { UpstreamError } from "../errors.js";
+import { parseCoordinates } from "../geo.js";
+import { chunkedMatrix } from "./matrix.js";
+
+// Matches OSRM's default --max-table-size of 100 locations per table request
+const MATRIX_LIMITS = { maxOrigins: 50, maxDestinations: 50, maxElements: 2500 };
+
+// Default OSRM profile names. GraphHopper-compatible gateways and custom OSRM
+// builds often use different names, so these can be overridden via `profiles`.
+const DEFAULT_PROFILES = {
+  driving: "driving",
+  walking: "walking",
+  bicycling: "cycling"
+};
+
+// OSRM error codes, mapped onto the Google statuses used by UpstreamError
+const OSRM_CODES = {
+  InvalidUrl: "INVALID_REQUEST",
+  InvalidService: "INVALID_REQUEST",
+  InvalidVersion: "INVALID_REQUEST",
+  InvalidOptions: "INVALID_REQUEST",
+  InvalidQuery: "INVALID_REQUEST",
+  InvalidValue: "INVALID_REQUEST",
+  TooBig: "INVALID_REQUEST",
+  NoSegment: "NOT_FOUND",
+  NoTable: "ZERO_RESULTS"
+};
+
+// Road classes defined by OSRM's car profile, used for `exclude`
+const EXCLUDE_CLASSES = { tolls: "toll", highways: "motorway", ferries: "ferry" };
+
+export class OsrmProvider {
+  constructor({ baseUrl, profiles = {}, fetch: fetchImpl } = {}) {
+    if (!baseUrl) {
+      throw new Error("OSRM provider requires a base URL (set OSRM_URL)");
+    }
+    this.name = "osrm";
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.profiles = { ...DEFAULT_PROFILES, ...profiles };
+    this.fetch = fetchImpl || globalThis.fetch;
+  }
+
+  async directions({ origin, destination, mode, alternatives, waypoints = [], optimizeWaypoints, avoid, units, signal }) {
+    const profile = this.profiles[mode];
+    if (!profile) {
+      throw new UpstreamError("INVALID_REQUEST", `Travel mode '${mode}' is not supported by the OSRM provider`);
+    }
+
+    const locations = [origin, ...waypoints, destination];
+    const points = locations.map(coordinatesOf);
+    const coordinates = points.map(point => `${point.lng},${point.lat}`).join(";");
+
+    // The trip service solves the visiting order; first and last stay fixed
+    const url = optimizeWaypoints && waypoints.length > 1
+      ? `${this.baseUrl}/trip/v1/${profile}/${coordinates}?source=first&destination=last&roundtrip=false&overview=false&steps=true${excludeParam(avoid)}`
+      : `${this.baseUrl}/route/v1/${profile}/${coordinates}?overview=false&steps=true&alternatives=${alternatives ? "true" : "false"}${excludeParam(avoid)}`;
+    const formatLength = meters => formatDistance(meters, units);
+
+    const data = await this.send(url, signal);
+
+    if (data.code === "NoRoute" || data.code === "NoTrips") {
+      return { routes: [] };
+    }
+    checkCode(data);
+
+    // Input indices in visiting order (the trip service reports each waypoint's position)
+    const visitOrder = data.trips
+      ? locations.map((_, index) => index).sort((a, b) => data.waypoints[a].waypoint_index - data.waypoints[b].waypoint_index)
+      : locations.map((_, index) => index);
+
+    return {
+      routes: (data.trips || data.routes).map(route => ({
+        summary: route.legs.map(leg => leg.summary).filter(Boolean).join(", "),
+        warnings: [],
+        flags: routeFlags(route),
+        ...(waypoints.length > 0 && { waypoint_order: visitOrder.slice(1, -1).map(index => index - 1) }),
+        legs: route.legs.map((leg, legIndex) => {
+          const from = visitOrder[legIndex];
+          const to = visitOrder[legIndex + 1];
+          return {
+            start_address: data.waypoints[from].name || locations[from],
+            end_address: data.waypoints[to].name || locations[to],
+            start_location: points[from],
+            end_location: points[to],
+            distance: measure(leg.distance, formatLength),
+            duration: measure(leg.duration, formatDuration),
+            // OSRM routes on static speed profiles and has no live traffic
+            duration_in_traffic: null,
+            steps: leg.steps.map(step => ({
+              instruction: describeManeuver(step),
+              distance: measure(step.distance, formatLength),
+              duration: measure(step.duration, formatDuration),
+              travel_mode: mode
+            }))
+          };
+        })
+      }))
+    };
+  }
+
+  // Fetches a service URL, reporting network failures and non-JSON responses
+  // (e.g. from a proxy in front of OSRM) as UpstreamErrors
+  async send(url, signal) {
+    let response;
+    try {
+      response = await this.fetch(url, { signal });
+    } catch (error) {
+      throw new UpstreamError("UNAVAILABLE", `OSRM request failed: ${error.message}`);
+    }
+    if (response.status === 429) {
+      throw new UpstreamError("OVER_QUERY_LIMIT", "OSRM request was rate limited");
+    }
+    try {
+      return await response.json();
+    } catch {
+      throw new UpstreamError("UNAVAILABLE", `OSRM returned an unreadable response (HTTP ${response.status})`);
+    }
+  }
+
+  async distanceMatrix({ origins, destinations, mode, avoid, units, signal }) {
+    const profile = this.profiles[mode];
+    if (!profile) {
+      throw new UpstreamError("INVALID_REQUEST", `Travel mode '${mode}' is not supported by the OSRM provider`);
+    }
+
+    return chunkedMatrix({ origins, destinations }, MATRIX_LIMITS, async (originBlock, destinationBlock) => {
+      const points = [...originBlock, ...destinationBlock].map(coordinatesOf);
+      const coordinates = points.map(point => `${point.lng},${point.lat}`).join(";");
+      const sources = originBlock.map((_, i) => i).join(";");
+      const targets = destinationBlock.map((_, j) => originBlock.length + j).join(";");
+
+      const data = await this.send(
+        `${this.baseUrl}/table/v1/${profile}/${coordinates}?sources=${sources}&destinations=${targets}&annotations=duration,distance${excludeParam(avoid)}`,
+        signal
+      );
+      checkCode(data);
+
+      return {
+        origin_addresses: data.sources.map((source, i) => source.name || originBlock[i]),
+        destination_addresses: data.destinations.map((destination, j) => destination.name || destinationBlock[j]),
+        rows: data.durations.map((durations, i) => ({
+          elements: durations.map((duration, j) => duration === null
+            ? { status: "ZERO_RESULTS", distance: null, duration: null, duration_in_traffic: null }
+            : {
+              status: "OK",
+              distance: measure(data.distances[i][j], meters => formatDistance(meters, units)),
+              duration: measure(duration, formatDuration),
+              duration_in_traffic: null
+            })
+        }))
+      };
+    });
+  }
+}
+
+// OSRM answers errors with a JSON body too, so only unreadable responses and
+// network failures are reported without one of its codes
+function checkCode(data) {
+  if (data.code !== "Ok") {
+    throw new UpstreamError(OSRM_CODES[data.code] || "UNAVAILABLE", data.message ? `${data.code}: ${data.message}` : `OSRM request failed with code ${data.code}`);
+  }
+}
+
+function excludeParam(avoid = []) {
+  return avoid.length > 0 ? `&exclude=${avoid.map(feature => EXCLUDE_CLASSES[feature]).join(",")}` : "";
+}
+
+// OSRM tags intersections with road classes such as "toll", "motorway" and "ferry"
+function routeFlags(route) {
+  const classes = new Set(
+    route.legs.flatMap(leg => leg.steps.flatMap(step => (step.intersections || []).flatMap(i => i.classes || [])))
+  );
+  const ferryStep = route.legs.some(leg => leg.steps.some(step => step.mode === "ferry"));
+
+  return {
+    tolls: classes.has("toll"),
+    highways: classes.has("motorway"),
+    ferries: ferryStep || classes.has("ferry")
+  };
+}
+
+function coordinatesOf(location) {
+  const coordinates = parseCoordinates(location);
+  if (!coordinates) {
+    throw new UpstreamError("INVALID_REQUEST", `OSRM provider requires 'lat,lng' locations, got '${location}'`);
+  }
+  return coordinates;
+}
+
+function measure(value, format) {
+  return { value: Math.round(value), text: format(value) };
+}
+
+function describeManeuver(step) {
+  const { type, modifier } = step.maneuver;
+  const road = step.name ? ` onto ${step.name}` : "";
+
+  switch (type) {
+    case "depart":
+      return step.name ? `Head ${modifier || "out"} on ${step.name}` : "Depart";
+    case "arrive":
+      return "Arrive at destination";
+    case "roundabout":
+    case "rotary":
+      return `Enter the roundabout and take the exit${road}`;
+    case "merge":
+      return `Merge${road}`;
+    case "on ramp":
+      return `Take the ramp${road}`;
+    case "off ramp":
+      return `Take the exit${road}`;
+    case "fork":
+      return `Keep ${modifier || "straight"} at the fork${road}`;
+    case "continue":
+    case "new name":
+      return `Continue${road}`;
+    default:
+      return modifier && modifier !== "straight" ? `Turn ${modifier}${road}` : `Continue${road}`;
+  }
+}
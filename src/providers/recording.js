@@ -0,0 +1,108 @@
+import { readJsonFile, writeJsonFile } from "../storage.js";
+
+// Record/replay for the Google Maps client. Recording wraps the real client and
+// saves every request with its raw response (status and body) to a cassette
+// file; replaying serves those responses without network access or an API key,
+// so everything from the provider's normalization up runs for real.
+//
+// Requests match on method and parameters, minus the API key. Departure and
+// arrival times only match on being "now" or not, so cassettes keep working
+// as the clock moves on.
+export const CLIENT_METHODS = ["directions", "distancematrix", "geocode", "reverseGeocode", "textSearch"];
+
+export class Cassette {
+  constructor({ filePath, interactions } = {}) {
+    this.filePath = filePath;
+    this.interactions = interactions || (filePath ? readJsonFile(filePath, { interactions: [] }).interactions : []);
+    this.pendingWrite = Promise.resolve();
+  }
+
+  find(method, params) {
+    const key = interactionKey(method, params);
+    return this.interactions.find(interaction => interactionKey(interaction.method, interaction.params) === key) || null;
+  }
+
+  // A new recording of the same request replaces the old one
+  async record(method, params, { status, data }) {
+    const key = interactionKey(method, params);
+    const interaction = { method, params: redact(params), status, data };
+    const index = this.interactions.findIndex(existing => interactionKey(existing.method, existing.params) === key);
+    if (index === -1) {
+      this.interactions.push(interaction);
+    } else {
+      this.interactions[index] = interaction;
+    }
+
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(() => writeJsonFile(this.filePath, { interactions: this.interactions }));
+    return this.pendingWrite;
+  }
+
+  async flush() {
+    await this.pendingWrite;
+  }
+}
+
+// Passes calls through to `client` and records what comes back, including
+// HTTP errors (the client rejects non-2xx responses)
+export class RecordingClient {
+  constructor(client, cassette) {
+    this.cassette = cassette;
+    for (const method of CLIENT_METHODS) {
+      this[method] = async ({ params, ...config }) => {
+        try {
+          const response = await client[method]({ params, ...config });
+          await this.cassette.record(method, params, { status: response.status, data: response.data });
+          return response;
+        } catch (error) {
+          if (error.response) {
+            await this.cassette.record(method, params, { status: error.response.status, data: error.response.data });
+          }
+          throw error;
+        }
+      };
+    }
+  }
+}
+
+// Answers from a cassette the way the real client would: 2xx responses
+// resolve and anything else rejects with an axios-style error
+export class ReplayClient {
+  constructor(cassette) {
+    this.cassette = cassette;
+    for (const method of CLIENT_METHODS) {
+      this[method] = async ({ params }) => {
+        const interaction = this.cassette.find(method, params);
+        if (!interaction) {
+          throw new Error(`No recorded ${method} response for ${JSON.stringify(redact(params))}; record one with TRAFFIC_RECORD`);
+        }
+        const response = { status: interaction.status, data: structuredClone(interaction.data) };
+        if (response.status < 200 || response.status >= 300) {
+          const error = new Error(`Request failed with status code ${response.status}`);
+          error.response = response;
+          throw error;
+        }
+        return response;
+      };
+    }
+  }
+}
+
+export function interactionKey(method, params) {
+  const normalized = {};
+  for (const name of Object.keys(params).sort()) {
+    const value = params[name];
+    if (name === "key" || value === undefined) {
+      continue;
+    }
+    normalized[name] = name === "departure_time" || name === "arrival_time"
+      ? (value === "now" ? "now" : "scheduled")
+      : value;
+  }
+  return `${method} ${JSON.stringify(normalized)}`;
+}
+
+function redact({ key, ...params }) {
+  return params;
+}
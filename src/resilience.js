@@ -0,0 +1,150 @@
+import { numberOr } from "./env.js";
+import { UpstreamError } from "./errors.js";
+
+// Stops calling a failing upstream for a while. After `threshold` consecutive
+// transient failures the circuit opens and calls fail fast; once `cooldownSeconds`
+// have passed a single trial call is let through, which closes the circuit
+// again on success or reopens it on failure.
+export class CircuitBreaker {
+  constructor({ threshold = 5, cooldownSeconds = 30 } = {}) {
+    this.threshold = threshold;
+    this.cooldownSeconds = cooldownSeconds;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialRunning = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) {
+      return "closed";
+    }
+    return Date.now() - this.openedAt >= this.cooldownSeconds * 1000 ? "half_open" : "open";
+  }
+
+  // Throws CIRCUIT_OPEN unless a call may go ahead
+  enter() {
+    const state = this.state;
+    if (state === "closed") {
+      return;
+    }
+    if (state === "half_open" && !this.trialRunning) {
+      this.trialRunning = true;
+      return;
+    }
+    const retryAfterSeconds = Math.max(1, Math.ceil((this.openedAt + this.cooldownSeconds * 1000 - Date.now()) / 1000));
+    throw new UpstreamError("CIRCUIT_OPEN", `Upstream calls paused after ${this.failures} consecutive failures`, { retryAfterSeconds });
+  }
+
+  success() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialRunning = false;
+  }
+
+  // Ends a trial call without a verdict
+  release() {
+    this.trialRunning = false;
+  }
+
+  failure() {
+    this.failures++;
+    if (this.trialRunning || this.failures >= this.threshold) {
+      this.openedAt = Date.now();
+    }
+    this.trialRunning = false;
+  }
+}
+
+// Provider decorator that bounds every upstream call with a timeout and
+// retries transient failures (timeouts, outages, rate limiting) with jittered
+// exponential backoff. Everything goes through a shared circuit breaker, so a
+// dead upstream costs clients one quick error instead of a full timeout each.
+export class ResilientProvider {
+  constructor(provider, { timeoutMs = 10000, retries = 2, baseDelayMs = 250, maxDelayMs = 4000, breaker = new CircuitBreaker() } = {}) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.breaker = breaker;
+
+    for (const method of ["distanceMatrix", "geocode", "reverseGeocode", "searchPlaces"]) {
+      if (provider[method]) {
+        this[method] = request => this.call(method, request);
+      }
+    }
+  }
+
+  directions(request) {
+    return this.call("directions", request);
+  }
+
+  async call(method, request) {
+    for (let attempt = 0; ; attempt++) {
+      this.breaker.enter();
+      try {
+        const result = await this.withTimeout(signal => this.provider[method]({ ...request, signal }));
+        this.breaker.success();
+        return result;
+      } catch (error) {
+        // Only transient upstream failures count against the circuit. A bad
+        // request still got an answer, and anything else (budget caps, bugs)
+        // says nothing about the upstream's health.
+        if (!(error instanceof UpstreamError && error.retryable)) {
+          if (error instanceof UpstreamError) {
+            this.breaker.success();
+          } else {
+            this.breaker.release();
+          }
+          throw error;
+        }
+        this.breaker.failure();
+        if (attempt >= this.retries) {
+          throw error;
+        }
+        await sleep(this.backoff(attempt));
+      }
+    }
+  }
+
+  // "Full jitter": a random delay up to the exponential bound, so clients
+  // retrying together don't hit the upstream in lockstep
+  backoff(attempt) {
+    return Math.random() * Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+  }
+
+  // Runs `call(signal)`, failing with TIMEOUT after timeoutMs. The signal then
+  // aborts the HTTP request too, so a retry never overlaps a call that is
+  // still running (and still billed).
+  withTimeout(call) {
+    if (!this.timeoutMs) {
+      return call(undefined);
+    }
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reject(new UpstreamError("TIMEOUT", `No response from the routing provider within ${this.timeoutMs} ms`));
+        controller.abort();
+      }, this.timeoutMs);
+    });
+    return Promise.race([call(controller.signal), timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function createResilienceFromEnv(env = process.env) {
+  return {
+    timeoutMs: numberOr(env.TRAFFIC_UPSTREAM_TIMEOUT_MS, 10000),
+    retries: numberOr(env.TRAFFIC_UPSTREAM_RETRIES, 2),
+    baseDelayMs: numberOr(env.TRAFFIC_UPSTREAM_RETRY_DELAY_MS, 250),
+    breaker: new CircuitBreaker({
+      threshold: numberOr(env.TRAFFIC_CIRCUIT_THRESHOLD, 5),
+      cooldownSeconds: numberOr(env.TRAFFIC_CIRCUIT_COOLDOWN_SECONDS, 30)
+    })
+  };
+}
@@ -1,24 +1,136 @@
 #!/usr/bin/env node
 
 import dotenv from 'dotenv';
-dotenv.config(); // Load environment variables from .env file
-
+import { randomUUID } from "crypto";
+import { realpathSync } from "fs";
+import { pathToFileURL } from "url";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
-import express from 'express';
-import cors from 'cors';
 import {
   CallToolRequestSchema,
   ErrorCode,
   ListToolsRequestSchema,
   McpError,
 } from "@modelcontextprotocol/sdk/types.js";
-import { Client } from "@googlemaps/google-maps-services-js";
+import { createProviderFromEnv } from "./providers/index.js";
+import { createToolRegistry } from "./tools/index.js";
+import { corsOriginsFromEnv, createHttpApp } from "./transports/http.js";
+import { createAuthFromEnv } from "./auth.js";
+import { ConfigError, loadConfig, USAGE } from "./config.js";
+import { logContext, logger as defaultLogger } from "./logger.js";
+import { InstrumentedProvider, Metrics, secondsSince } from "./metrics.js";
+import { CachingProvider, createCacheFromEnv } from "./cache.js";
+import { createPlacesStoreFromEnv, normalizeAlias } from "./places.js";
+import { createWatchStoreFromEnv, WatchScheduler } from "./watches.js";
+import { upcomingRuns } from "./cron.js";
+import { createHistoryFromEnv, WEEKDAYS } from "./history.js";
+import { createUsageMeterFromEnv, MeteredProvider, usageContext } from "./usage.js";
+import { createResilienceFromEnv, ResilientProvider } from "./resilience.js";
+import { toMcpError, UpstreamError } from "./errors.js";
+import { mapWithConcurrency } from "./async.js";
+import { addMinutes, parseTimeInput } from "./time.js";
+import { formatDistance, formatDuration } from "./format.js";
+import {
+  analyzeCongestion,
+  budgetSeconds,
+  describeCongestion,
+  forecastBand,
+  legMetrics,
+  TRAFFIC_MODELS,
+  travelSeconds
+} from "./traffic.js";
+import { describeItinerary, transitItinerary } from "./transit.js";
+import { fitResolution, MAX_SPEEDS_KMH, polygonAreaKm2, reachablePolygon, samplingGrid } from "./isochrone.js";
+import { centroid, distanceMeters, parseCoordinates } from "./geo.js";
+
+// Upper bound on forecast lookups for a single departure-time search
+const MAX_DEPARTURE_SAMPLES = 48;
+
+// Each watch polls the routing provider, so keep the number per user bounded
+const MAX_WATCHES_PER_USER = 20;
+
+// Upper bound on travel-time samples (grid points plus sites) for one
+// reachable area; each is a billed distance matrix element
+const MAX_REACHABILITY_SAMPLES = 400;
+
+// Radius of category searches for a meeting place: at least this far around
+// `near` or the travelers' midpoint, and at most the Places API's limit
+const DEFAULT_MEETING_RADIUS_METERS = 2000;
+const MAX_MEETING_RADIUS_METERS = 50000;
+
+// Recorded trips needed in a weekday/hour slot before it is treated as "typical"
+const MIN_HISTORY_SAMPLES = 3;
+
+// Settings not passed in explicitly are read from `env` (see config.js)
+export class TrafficMCPServer {
+  constructor({
+    env = process.env,
+    provider,
+    cache = createCacheFromEnv(env),
+    places = createPlacesStoreFromEnv(env),
+    watches = createWatchStoreFromEnv(env),
+    webhookUrl = env.TRAFFIC_WATCH_WEBHOOK,
+    history = createHistoryFromEnv(env),
+    usage = createUsageMeterFromEnv(env),
+    resilience = createResilienceFromEnv(env),
+    disambiguate = env.TRAFFIC_DISAMBIGUATE !== "off",
+    logger = defaultLogger,
+    metrics = new Metrics()
+  } = {}) {
+    this.env = env;
+    this.logger = logger;
+    this.metrics = metrics;
+
+    // Routing backend (Google Maps, OSRM or offline fixtures), metered for
+    // spend, with timeouts and retries, and optionally behind a response cache.
+    // Pass `cache: null`, `usage: null` or `resilience: null` to turn a layer off.
+    let upstream = new InstrumentedProvider(provider || createProviderFromEnv(env), metrics);
+    if (usage) {
+      upstream = new MeteredProvider(upstream, usage);
+    }
+    if (resilience) {
+      upstream = new ResilientProvider(upstream, resilience);
+    }
+    this.usage = usage;
+    this.cache = cache;
+    this.provider = cache ? new CachingProvider(upstream, cache) : upstream;
+    this.registerMetrics(resilience?.breaker);
+
+    // Check free-text locations for multiple matches before routing
+    this.disambiguate = disambiguate;
+
+    // Per-user named locations usable as "@alias"
+    this.places = places;
+
+    // Commute watches, polled by the scheduler once a transport is running.
+    // Alerts go to the owner's connected MCP sessions and the optional webhook.
+    this.watches = watches;
+    this.webhookUrl = webhookUrl;
+    this.scheduler = new WatchScheduler({
+      store: watches,
+      check: (watch, now) => logContext.run(
+        { request_id: randomUUID(), tool: "watch", client_id: watch.user_id, watch_id: watch.id },
+        () => usageContext.run(
+          { tool: "watch", clientId: watch.user_id },
+          async () => (await this.checkWatch(watch, now)).changes
+        )
+      )
+    });
+    this.connections = new Map();
+
+    // Optional record of live lookups, for typical-vs-today comparisons
+    this.history = history;
 
-class TrafficMCPServer {
-  constructor() {
-    this.server = new Server(
+    // Tool schemas and handlers shared by the stdio and HTTP transports
+    this.tools = createToolRegistry(this);
+
+    this.server = this.createServer();
+  }
+
+  // A Server instance can only be connected to one transport, so HTTP mode
+  // creates one per session while stdio uses `this.server`.
+  createServer() {
+    const server = new Server(
       {
         name: "traffic-boy-mcp-server",
         version: "1.0.0",
@@ -26,601 +138,2165 @@ class TrafficMCPServer {
       {
         capabilities: {
           tools: {},
+          logging: {},
         },
       }
     );
 
-    // Initialize Google Maps client
-    this.googleMapsClient = new Client({});
+    // Track live sessions (and who is using them) for watch alerts
+    server.oninitialized = () => {
+      this.connections.set(server, this.connections.get(server) || "default");
+    };
+    server.onclose = () => {
+      this.connections.delete(server);
+    };
 
-    this.setupToolHandlers();
+    this.setupToolHandlers(server);
+    return server;
   }
 
-  setupToolHandlers() {
+  setupToolHandlers(server) {
     // List available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return {
-        tools: [
-          {
-            name: "get_live_traffic",
-            description: "Get live traffic data between two locations using Google Maps",
-            inputSchema: {
-              type: "object",
-              properties: {
-                origin: {
-                  type: "string",
-                  description: "Origin location (address or 'lat,lng')"
-                },
-                destination: {
-                  type: "string",
-                  description: "Destination location (address or 'lat,lng')"
-                },
-                mode: {
-                  type: "string",
-                  enum: ["driving", "walking", "bicycling", "transit"],
-                  default: "driving",
-                  description: "Travel mode"
-                }
-              },
-              required: ["origin", "destination"]
-            }
-          },
-          {
-            name: "get_forecast_traffic",
-            description: "Get forecast traffic data for future travel times",
-            inputSchema: {
-              type: "object",
-              properties: {
-                origin: {
-                  type: "string",
-                  description: "Origin location (address or 'lat,lng')"
-                },
-                destination: {
-                  type: "string",
-                  description: "Destination location (address or 'lat,lng')"
-                },
-                departure_time: {
-                  type: "string",
-                  description: "Departure time in ISO format (e.g., '2024-01-15T09:00:00Z') or 'now' for immediate departure"
-                },
-                mode: {
-                  type: "string",
-                  enum: ["driving", "walking", "bicycling", "transit"],
-                  default: "driving",
-                  description: "Travel mode"
-                }
-              },
-              required: ["origin", "destination", "departure_time"]
-            }
-          },
-          {
-            name: "get_traffic_comparison",
-            description: "Compare current vs forecast traffic for route planning",
-            inputSchema: {
-              type: "object",
-              properties: {
-                origin: {
-                  type: "string",
-                  description: "Origin location (address or 'lat,lng')"
-                },
-                destination: {
-                  type: "string",
-                  description: "Destination location (address or 'lat,lng')"
-                },
-                forecast_hours: {
-                  type: "number",
-                  description: "Hours from now to check forecast (1-24)",
-                  minimum: 1,
-                  maximum: 24,
-                  default: 1
-                },
-                mode: {
-                  type: "string",
-                  enum: ["driving", "walking", "bicycling", "transit"],
-                  default: "driving",
-                  description: "Travel mode"
-                }
-              },
-              required: ["origin", "destination"]
-            }
-          }
-        ]
-      };
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return { tools: this.tools.list() };
     });
 
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
+      const context = this.requestContext(extra);
+      this.connections.set(server, context.userId);
 
-      try {
-        switch (name) {
-          case "get_live_traffic":
-            return await this.getLiveTraffic(args);
-          case "get_forecast_traffic":
-            return await this.getForecastTraffic(args);
-          case "get_traffic_comparison":
-            return await this.getTrafficComparison(args);
-          default:
-            throw new McpError(
-              ErrorCode.MethodNotFound,
-              `Unknown tool: ${name}`
-            );
+      // HTTP requests already have a correlation ID; stdio calls get their own
+      const trace = {
+        request_id: logContext.getStore()?.request_id || randomUUID(),
+        tool: name,
+        client_id: context.userId,
+        ...(context.sessionId && { session_id: context.sessionId })
+      };
+      return await logContext.run(trace, async () => {
+        this.logger.debug("Tool call", { arguments: args });
+        const started = process.hrtime.bigint();
+        let status = "ok";
+        try {
+          // Upstream calls made while handling the tool are billed to it
+          return await usageContext.run(
+            { tool: name, clientId: context.userId },
+            () => this.tools.call(name, args, context)
+          );
+        } catch (error) {
+          status = "error";
+          this.logger.warn("Tool call failed", { error, code: error.code });
+          throw error;
+        } finally {
+          const seconds = secondsSince(started);
+          // Unknown tool names would make a new series each
+          const tool = this.tools.tools.has(name) ? name : "unknown";
+          this.metrics.toolCalls.inc({ tool, status });
+          this.metrics.toolDuration.observe({ tool }, seconds);
+          this.logger.info("Tool call finished", { status, duration_ms: Math.round(seconds * 1000) });
         }
-      } catch (error) {
-        throw new McpError(
-          ErrorCode.InternalError,
-          `Tool execution failed: ${error.message}`
-        );
-      }
+      });
     });
   }
 
+  // Gauges read from the cache and circuit breaker when metrics are scraped
+  registerMetrics(breaker) {
+    const cache = this.cache;
+    if (cache) {
+      this.metrics.gauge(
+        "traffic_cache_lookups_total",
+        "Response cache lookups by result (hit, coalesced, miss; stale misses were answered from an expired entry)",
+        () => [
+          { labels: { result: "hit" }, value: cache.stats.hits },
+          { labels: { result: "coalesced" }, value: cache.stats.coalesced },
+          { labels: { result: "miss" }, value: cache.stats.misses },
+          { labels: { result: "stale" }, value: cache.stats.stale }
+        ],
+        "counter"
+      );
+      this.metrics.gauge(
+        "traffic_cache_hit_ratio",
+        "Share of cache lookups answered without calling the upstream",
+        () => {
+          const { hits, coalesced, misses } = cache.stats;
+          const total = hits + coalesced + misses;
+          return [{ value: total > 0 ? (hits + coalesced) / total : 0 }];
+        }
+      );
+    }
+    if (breaker) {
+      this.metrics.gauge(
+        "traffic_circuit_open",
+        "1 while upstream calls are paused by the circuit breaker",
+        () => [{ value: breaker.state === "closed" ? 0 : 1 }]
+      );
+    }
+  }
+
+  // Identifies who is calling. Authenticated HTTP clients are scoped by their
+  // client ID; everything else (e.g. stdio) shares the "default" user.
+  requestContext(extra) {
+    return {
+      userId: extra?.authInfo?.clientId || "default",
+      sessionId: extra?.sessionId
+    };
+  }
+
   async getLiveTraffic(args) {
-    const { origin, destination, mode = "driving" } = args;
+    const { origin, destination, mode = "driving", traffic_model = "best_guess", units } = args;
+    const options = this.routeOptions(args);
+
+    const ambiguity = await this.checkAmbiguousLocations({ origin, destination }, args.region);
+    if (ambiguity) {
+      return ambiguity;
+    }
 
     try {
-      const response = await this.googleMapsClient.directions({
-        params: {
-          origin: this.parseLocation(origin),
-          destination: this.parseLocation(destination),
-          mode: mode,
-          departure_time: "now",
-          traffic_model: "best_guess",
-          key: process.env.GOOGLE_MAPS_API_KEY
-        }
-      });
+      const request = {
+        origin: this.parseLocation(origin),
+        destination: this.parseLocation(destination),
+        mode: mode,
+        departureTime: "now",
+        trafficModel: traffic_model,
+        ...options
+      };
+      const response = await this.provider.directions(request);
+      this.recordObservation(request, response);
 
-      if (!response.data.routes || response.data.routes.length === 0) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: "No routes found between the specified locations."
-            }
-          ]
-        };
+      if (!response.routes || response.routes.length === 0) {
+        return this.emptyResult("no_route", "No routes found between the specified locations.", response);
       }
 
-      const route = response.data.routes[0];
+      const route = response.routes[0];
       const leg = route.legs[0];
+      const congestion = analyzeCongestion(leg);
 
       const result = {
+        status: "ok",
         origin: leg.start_address,
         destination: leg.end_address,
-        distance: leg.distance.text,
-        duration: leg.duration.text,
-        duration_in_traffic: leg.duration_in_traffic?.text || "Not available",
-        traffic_summary: this.analyzeTrafficConditions(route),
-        steps: leg.steps.map(step => ({
-          instruction: step.html_instructions.replace(/<[^>]*>/g, ''),
-          distance: step.distance.text,
-          duration: step.duration.text,
-          traffic_speed: step.duration_in_traffic ? "Has traffic data" : "No traffic data"
+        mode: mode,
+        departure_time: new Date().toISOString(),
+        ...legMetrics(leg),
+        traffic_summary: this.analyzeTrafficConditions(route, congestion),
+        bottlenecks: congestion.bottlenecks,
+        itinerary: mode === "transit" ? transitItinerary(leg) : null,
+        steps: leg.steps.map((step, index) => ({
+          instruction: step.instruction,
+          road: congestion.steps[index].road,
+          distance_meters: step.distance.value,
+          duration_seconds: step.duration.value,
+          delay_seconds: congestion.steps[index].delay_seconds,
+          delay_ratio: congestion.steps[index].delay_ratio,
+          traffic_level: congestion.steps[index].traffic_level
         }))
       };
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(result, null, 2)
-          }
-        ]
-      };
+      const details = result.itinerary ? describeItinerary(result.itinerary) : `${result.traffic_summary}.`;
+      return this.toolResult(result, `${this.describeTrip(result, units)} ${details}`, response);
     } catch (error) {
-      throw new Error(`Google Maps API error: ${error.message}`);
+      throw this.upstreamError(error);
     }
   }
 
   async getForecastTraffic(args) {
-    const { origin, destination, departure_time, mode = "driving" } = args;
+    const {
+      origin,
+      destination,
+      departure_time,
+      arrival_time,
+      mode = "driving",
+      traffic_model = "pessimistic",
+      risk_tolerance = "low",
+      units
+    } = args;
+    const options = this.routeOptions(args);
+
+    if (Boolean(departure_time) === Boolean(arrival_time)) {
+      throw new McpError(ErrorCode.InvalidParams, "Give either departure_time or arrival_time");
+    }
+    if (arrival_time && Number.isNaN(Date.parse(arrival_time))) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid arrival_time: ${arrival_time}`);
+    }
+
+    // Transit plans against the timetable; other modes work back from the deadline
+    const now = new Date();
+    const deadline = arrival_time && mode !== "transit" ? new Date(arrival_time) : null;
+    if (deadline && deadline <= now) {
+      throw new McpError(ErrorCode.InvalidParams, `arrival_time ${arrival_time} is in the past`);
+    }
+
+    const ambiguity = await this.checkAmbiguousLocations({ origin, destination }, args.region);
+    if (ambiguity) {
+      return ambiguity;
+    }
 
     try {
-      const departureTime = departure_time === "now" ? "now" : new Date(departure_time);
+      const request = {
+        origin: this.parseLocation(origin),
+        destination: this.parseLocation(destination),
+        mode: mode,
+        trafficModel: traffic_model,
+        ...options
+      };
 
-      const response = await this.googleMapsClient.directions({
-        params: {
-          origin: this.parseLocation(origin),
-          destination: this.parseLocation(destination),
-          mode: mode,
-          departure_time: departureTime,
-          traffic_model: "pessimistic", // Use pessimistic for worst-case forecast
-          key: process.env.GOOGLE_MAPS_API_KEY
+      let forecast;
+      let leaveBy = null;
+      const responses = [];
+      if (deadline) {
+        // Traffic depends on when you leave, so estimate once at the deadline
+        // and again at the departure that first estimate suggests
+        const first = await this.forecastLookup({ ...request, departureTime: deadline });
+        responses.push(...first.responses);
+        if (first.leg) {
+          const guess = new Date(deadline.getTime() - this.plannedSeconds(first, risk_tolerance) * 1000);
+          forecast = await this.forecastLookup({ ...request, departureTime: guess <= now ? "now" : guess });
+          responses.push(...forecast.responses);
+          // Rounded down to the minute so the advice errs early
+          const latest = deadline.getTime() - this.plannedSeconds(forecast, risk_tolerance) * 1000;
+          leaveBy = new Date(Math.floor(latest / 60000) * 60000);
         }
-      });
+      } else if (arrival_time) {
+        forecast = await this.forecastLookup({ ...request, arrivalTime: new Date(arrival_time) });
+        responses.push(...forecast.responses);
+      } else {
+        const departureTime = departure_time === "now" ? "now" : new Date(departure_time);
+        forecast = await this.forecastLookup({ ...request, departureTime });
+        responses.push(...forecast.responses);
+      }
 
-      if (!response.data.routes || response.data.routes.length === 0) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: "No routes found for the specified time."
-            }
-          ]
-        };
+      if (!forecast?.leg) {
+        return this.emptyResult("no_route", "No routes found for the specified time.", ...responses);
       }
 
-      const route = response.data.routes[0];
-      const leg = route.legs[0];
+      const { leg, band } = forecast;
+
+      // Transit legs come with their own timetable; otherwise count from the departure
+      let departs;
+      if (leg.departure_time) {
+        departs = new Date(leg.departure_time.value);
+      } else if (leaveBy) {
+        departs = leaveBy > now ? leaveBy : now;
+      } else {
+        departs = departure_time === "now" ? now : new Date(departure_time);
+      }
+      const arrives = leg.arrival_time
+        ? new Date(leg.arrival_time.value)
+        : new Date(departs.getTime() + travelSeconds(leg) * 1000);
 
       const result = {
-        departure_time: departure_time,
+        status: "ok",
         origin: leg.start_address,
         destination: leg.end_address,
-        forecast_distance: leg.distance.text,
-        forecast_duration: leg.duration.text,
-        forecast_duration_in_traffic: leg.duration_in_traffic?.text || "Not available",
-        traffic_model: "pessimistic (worst-case scenario)",
-        confidence_level: "High - Based on historical and real-time data"
+        mode: mode,
+        departure_time: departs.toISOString(),
+        arrival_time: arrives.toISOString(),
+        traffic_model: traffic_model,
+        ...legMetrics(leg),
+        band: band,
+        leave_by: leaveBy && {
+          arrive_by: deadline.toISOString(),
+          risk_tolerance: risk_tolerance,
+          planned_seconds: this.plannedSeconds(forecast, risk_tolerance),
+          leave_by: leaveBy.toISOString(),
+          feasible: leaveBy >= now
+        },
+        itinerary: mode === "transit" ? transitItinerary(leg) : null
       };
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(result, null, 2)
-          }
-        ]
-      };
+      const trip = this.describeTrip(result, units);
+      const bandText = band
+        ? ` Likely ${formatDuration(band.likely_seconds)}, between ${formatDuration(band.min_seconds)} and ${formatDuration(band.max_seconds)} (${band.confidence} confidence).`
+        : "";
+      let summary;
+      if (result.itinerary) {
+        summary = `Leave at ${result.departure_time}, arrive at ${result.arrival_time}: ${trip} ${describeItinerary(result.itinerary)}`;
+      } else if (result.leave_by) {
+        const { leave_by: latest, arrive_by, planned_seconds, feasible } = result.leave_by;
+        const plan = `planning for ${formatDuration(planned_seconds)} at ${risk_tolerance} risk tolerance`;
+        summary = feasible
+          ? `Leave by ${latest} to arrive by ${arrive_by} (${plan}). ${trip}${bandText}`
+          : `Too late to be sure of arriving by ${arrive_by} (${plan}); leaving now arrives around ${result.arrival_time}. ${trip}${bandText}`;
+      } else {
+        const modelName = { best_guess: "typical", optimistic: "light", pessimistic: "worst-case" }[traffic_model];
+        summary = `Leaving at ${result.departure_time} (${modelName} traffic): ${trip}${bandText}`;
+      }
+      return this.toolResult(result, summary, ...responses);
     } catch (error) {
-      throw new Error(`Google Maps API error: ${error.message}`);
+      throw this.upstreamError(error);
     }
   }
 
   async getTrafficComparison(args) {
-    const { origin, destination, forecast_hours = 1, mode = "driving" } = args;
+    const { origin, destination, forecast_hours = 1, mode = "driving", traffic_model = "pessimistic" } = args;
+    const options = this.routeOptions(args);
+
+    const ambiguity = await this.checkAmbiguousLocations({ origin, destination }, args.region);
+    if (ambiguity) {
+      return ambiguity;
+    }
 
     try {
       // Get current traffic
-      const currentResponse = await this.googleMapsClient.directions({
-        params: {
-          origin: this.parseLocation(origin),
-          destination: this.parseLocation(destination),
-          mode: mode,
-          departure_time: "now",
-          traffic_model: "best_guess",
-          key: process.env.GOOGLE_MAPS_API_KEY
-        }
-      });
+      const currentRequest = {
+        origin: this.parseLocation(origin),
+        destination: this.parseLocation(destination),
+        mode: mode,
+        departureTime: "now",
+        trafficModel: "best_guess",
+        ...options
+      };
+      const currentResponse = await this.provider.directions(currentRequest);
 
       // Get forecast traffic
       const forecastTime = new Date();
       forecastTime.setHours(forecastTime.getHours() + forecast_hours);
 
-      const forecastResponse = await this.googleMapsClient.directions({
-        params: {
-          origin: this.parseLocation(origin),
-          destination: this.parseLocation(destination),
-          mode: mode,
-          departure_time: forecastTime,
-          traffic_model: "pessimistic",
-          key: process.env.GOOGLE_MAPS_API_KEY
-        }
+      const forecastResponse = await this.provider.directions({
+        origin: this.parseLocation(origin),
+        destination: this.parseLocation(destination),
+        mode: mode,
+        departureTime: forecastTime,
+        trafficModel: traffic_model,
+        ...options
       });
 
-      if (!currentResponse.data.routes?.[0] || !forecastResponse.data.routes?.[0]) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: "Unable to get traffic data for one or both time periods."
-            }
-          ]
-        };
+      if (!currentResponse.routes?.[0] || !forecastResponse.routes?.[0]) {
+        return this.emptyResult(
+          "no_route",
+          "Unable to get traffic data for one or both time periods.",
+          currentResponse,
+          forecastResponse
+        );
       }
 
-      const currentLeg = currentResponse.data.routes[0].legs[0];
-      const forecastLeg = forecastResponse.data.routes[0].legs[0];
+      const currentLeg = currentResponse.routes[0].legs[0];
+      const forecastLeg = forecastResponse.routes[0].legs[0];
+
+      // Look up what is usual before this trip is added to the history
+      const typical = {
+        now: this.history?.typicalAt(currentRequest, new Date()),
+        forecast: this.history?.typicalAt(currentRequest, forecastTime)
+      };
+      this.recordObservation(currentRequest, currentResponse);
+
+      const currentSeconds = travelSeconds(currentLeg);
+      const forecastSeconds = travelSeconds(forecastLeg);
+      const typicalNow = this.usableHistory(typical.now);
 
       const comparison = {
+        status: "ok",
         origin: currentLeg.start_address,
         destination: currentLeg.end_address,
-        current_traffic: {
-          distance: currentLeg.distance.text,
-          duration: currentLeg.duration.text,
-          duration_in_traffic: currentLeg.duration_in_traffic?.text || currentLeg.duration.text
+        mode: mode,
+        current: {
+          departure_time: new Date().toISOString(),
+          ...legMetrics(currentLeg)
         },
-        forecast_traffic: {
+        forecast: {
           hours_ahead: forecast_hours,
+          traffic_model: traffic_model,
           departure_time: forecastTime.toISOString(),
-          distance: forecastLeg.distance.text,
-          duration: forecastLeg.duration.text,
-          duration_in_traffic: forecastLeg.duration_in_traffic?.text || forecastLeg.duration.text
+          ...legMetrics(forecastLeg)
         },
-        comparison: {
-          time_difference_seconds: this.calculateTimeDifference(
-            currentLeg.duration_in_traffic?.value || currentLeg.duration.value,
-            forecastLeg.duration_in_traffic?.value || forecastLeg.duration.value
-          ),
-          recommendation: this.generateRecommendation(currentLeg, forecastLeg, forecast_hours)
-        }
+        difference_seconds: this.calculateTimeDifference(currentSeconds, forecastSeconds),
+        trend: this.forecastTrend(currentSeconds, forecastSeconds, typical.forecast),
+        typical_now: typicalNow && {
+          samples: typicalNow.samples,
+          median_seconds: typicalNow.p50,
+          difference_seconds: currentSeconds - typicalNow.p50
+        },
+        recommendation: this.generateRecommendation(currentLeg, forecastLeg, forecast_hours, typical)
       };
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(comparison, null, 2)
-          }
-        ]
-      };
+      return this.toolResult(
+        comparison,
+        `${comparison.origin} → ${comparison.destination}: ${formatDuration(currentSeconds)} now, ${formatDuration(forecastSeconds)} in ${forecast_hours} hour(s). ${comparison.recommendation}`,
+        currentResponse,
+        forecastResponse
+      );
     } catch (error) {
-      throw new Error(`Google Maps API error: ${error.message}`);
+      throw this.upstreamError(error);
     }
   }
 
-  parseLocation(location) {
-    // Check if it's coordinates (lat,lng format)
-    const coordMatch = location.match(/^(-?\d+\.?\d*),\s*(-?\d+\.?\d*)$/);
-    if (coordMatch) {
-      return `${coordMatch[1]},${coordMatch[2]}`;
+  async getRouteAlternatives(args) {
+    const { origin, destination, mode = "driving", rank_by = "fastest", traffic_model = "best_guess", units } = args;
+    const options = this.routeOptions(args);
+
+    const ambiguity = await this.checkAmbiguousLocations({ origin, destination }, args.region);
+    if (ambiguity) {
+      return ambiguity;
     }
-    // Otherwise treat as address
-    return location;
-  }
 
-  analyzeTrafficConditions(route) {
-    // Simple traffic analysis based on route warnings
-    const warnings = route.warnings || [];
-    if (warnings.length > 0) {
-      return `Traffic alerts: ${warnings.join(', ')}`;
+    try {
+      const response = await this.provider.directions({
+        origin: this.parseLocation(origin),
+        destination: this.parseLocation(destination),
+        mode: mode,
+        departureTime: "now",
+        trafficModel: traffic_model,
+        alternatives: true,
+        ...options
+      });
+
+      if (!response.routes || response.routes.length === 0) {
+        return this.emptyResult("no_route", "No routes found between the specified locations.", response);
+      }
+
+      const routes = response.routes.map(route => {
+        const leg = route.legs[0];
+        const itinerary = mode === "transit" ? transitItinerary(leg) : null;
+        // Transit routes have no road summary; name them after the lines taken
+        const lines = itinerary?.segments.filter(segment => segment.type === "ride").map(ride => ride.line).join(", ");
+
+        return {
+          summary: route.summary || lines || "Unnamed route",
+          ...legMetrics(leg),
+          travel_seconds: travelSeconds(leg),
+          main_bottleneck: analyzeCongestion(leg, { maxBottlenecks: 1 }).bottlenecks[0] || null,
+          warnings: route.warnings,
+          has_tolls: route.flags.tolls,
+          has_highways: route.flags.highways,
+          has_ferries: route.flags.ferries,
+          itinerary
+        };
+      });
+
+      const rankKey = {
+        fastest: route => route.travel_seconds,
+        shortest: route => route.distance_meters,
+        least_delay: route => route.traffic_delay_seconds ?? 0
+      }[rank_by];
+      routes.sort((a, b) => rankKey(a) - rankKey(b));
+
+      const result = {
+        status: "ok",
+        origin: response.routes[0].legs[0].start_address,
+        destination: response.routes[0].legs[0].end_address,
+        ranked_by: rank_by,
+        recommendation: this.generateRouteRecommendation(routes, rank_by),
+        routes: routes.map((route, index) => ({ rank: index + 1, ...route }))
+      };
+
+      const overview = result.routes
+        .map(route => {
+          const transfers = route.itinerary ? `, ${route.itinerary.transfers} transfer(s)` : "";
+          return `${route.rank}. ${route.summary}: ${formatDuration(route.travel_seconds)}, ${formatDistance(route.distance_meters, units)}${transfers}`;
+        })
+        .join("\n");
+      return this.toolResult(result, `${result.recommendation}\n${overview}`, response);
+    } catch (error) {
+      throw this.upstreamError(error);
     }
-    return "No major traffic issues detected";
   }
 
-  calculateTimeDifference(currentSeconds, forecastSeconds) {
-    return forecastSeconds - currentSeconds;
-  }
+  async findBestDepartureTime(args) {
+    const {
+      origin,
+      destination,
+      mode = "driving",
+      window_start,
+      window_end,
+      step_minutes = 15,
+      arrive_by,
+      traffic_model = "best_guess"
+    } = args;
+    const options = this.routeOptions(args);
 
-  generateRecommendation(currentLeg, forecastLeg, hoursAhead) {
-    const currentTime = currentLeg.duration_in_traffic?.value || currentLeg.duration.value;
-    const forecastTime = forecastLeg.duration_in_traffic?.value || forecastLeg.duration.value;
+    const { start, end, deadline } = this.resolveDepartureWindow({ window_start, window_end, arrive_by });
 
-    const differenceMinutes = Math.abs((forecastTime - currentTime) / 60);
+    // Keep the grid aligned to the requested start; slots already in the past
+    // are replaced by a single "leave now" slot
+    const now = new Date();
+    const departures = [];
+    for (let time = start; time <= end; time = addMinutes(time, step_minutes)) {
+      if (time >= now) {
+        departures.push(time);
+      }
+    }
+    if (start < now) {
+      departures.unshift(new Date(Math.ceil(now.getTime() / 60000) * 60000));
+    }
+    if (departures.length > MAX_DEPARTURE_SAMPLES) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Search window needs ${departures.length} lookups (max ${MAX_DEPARTURE_SAMPLES}). Narrow the window or increase step_minutes.`
+      );
+    }
 
-    if (differenceMinutes < 5) {
-      return `Traffic conditions expected to be similar. Safe to proceed as planned.`;
-    } else if (forecastTime > currentTime) {
-      return `Traffic expected to be ${Math.round(differenceMinutes)} minutes worse in ${hoursAhead} hour(s). Consider leaving earlier or finding an alternative route.`;
-    } else {
-      return `Traffic expected to be ${Math.round(differenceMinutes)} minutes better in ${hoursAhead} hour(s). Good time to travel!`;
+    const ambiguity = await this.checkAmbiguousLocations({ origin, destination }, args.region);
+    if (ambiguity) {
+      return ambiguity;
+    }
+
+    try {
+      // Slots can be minutes apart (and "leave now" is off the grid), so cache
+      // them per minute rather than in the usual departure-time buckets
+      const responses = await mapWithConcurrency(departures, 4, departureTime =>
+        this.provider.directions({
+          origin: this.parseLocation(origin),
+          destination: this.parseLocation(destination),
+          mode: mode,
+          departureTime: departureTime,
+          trafficModel: traffic_model,
+          ...options
+        }, { bucketMinutes: 1 })
+      );
+
+      const curve = responses
+        .map((response, index) => {
+          const leg = response.routes?.[0]?.legs[0];
+          if (!leg) {
+            return null;
+          }
+          const seconds = travelSeconds(leg);
+          const arrival = new Date(departures[index].getTime() + seconds * 1000);
+          return {
+            departure_time: departures[index].toISOString(),
+            arrival_time: arrival.toISOString(),
+            travel_seconds: seconds,
+            ...(deadline && { arrives_on_time: arrival <= deadline })
+          };
+        })
+        .filter(Boolean);
+
+      if (curve.length === 0) {
+        return this.emptyResult("no_route", "No routes found for the specified time window.", ...responses);
+      }
+
+      const leg = responses.find(response => response.routes?.[0]).routes[0].legs[0];
+      const fastest = curve.reduce((best, slot) => slot.travel_seconds < best.travel_seconds ? slot : best);
+      const slowest = curve.reduce((worst, slot) => slot.travel_seconds > worst.travel_seconds ? slot : worst);
+
+      let best = fastest;
+      let recommendation;
+      if (deadline) {
+        // Latest departure that still makes it, i.e. the least time spent waiting around
+        const onTime = curve.filter(slot => slot.arrives_on_time);
+        best = onTime[onTime.length - 1] || null;
+        recommendation = best
+          ? `Leave by ${best.departure_time} to arrive by ${deadline.toISOString()} (trip takes ${formatDuration(best.travel_seconds)}).`
+          : `No departure in the window arrives by ${deadline.toISOString()}. The earliest arrival is ${curve[0].arrival_time}.`;
+      } else {
+        const savedMinutes = Math.round((slowest.travel_seconds - fastest.travel_seconds) / 60);
+        recommendation = savedMinutes >= 1
+          ? `Leave at ${fastest.departure_time} for the quickest trip (${formatDuration(fastest.travel_seconds)}), ${savedMinutes} minute(s) faster than leaving at ${slowest.departure_time}.`
+          : `Travel time is about the same across the window (${formatDuration(fastest.travel_seconds)}). Leave whenever suits you.`;
+      }
+
+      const result = {
+        status: "ok",
+        origin: leg.start_address,
+        destination: leg.end_address,
+        search: {
+          type: deadline ? "arrive_by" : "depart_between",
+          window_start: departures[0].toISOString(),
+          window_end: end.toISOString(),
+          ...(deadline && { arrive_by: deadline.toISOString() }),
+          step_minutes: step_minutes,
+          samples: curve.length
+        },
+        best_departure: best,
+        fastest_departure: fastest,
+        slowest_departure: slowest,
+        recommendation: recommendation,
+        curve: curve
+      };
+
+      return this.toolResult(result, recommendation, ...responses);
+    } catch (error) {
+      throw this.upstreamError(error);
     }
   }
 
-  async run() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
-    console.error("Traffic MCP Server running on stdio");
+  // Turns the user's window / deadline into concrete dates. Bare "HH:MM" times
+  // are anchored to the same day as the window end (or deadline).
+  resolveDepartureWindow({ window_start, window_end, arrive_by }) {
+    const now = new Date();
+    const invalid = message => new McpError(ErrorCode.InvalidParams, message);
+
+    const deadline = arrive_by ? parseTimeInput(arrive_by, now) : null;
+    if (arrive_by && !deadline) {
+      throw invalid(`Invalid arrive_by time: ${arrive_by}`);
+    }
+    if (deadline && deadline <= now) {
+      throw invalid("arrive_by must be in the future");
+    }
+    if (!deadline && (!window_start || !window_end)) {
+      throw invalid("window_start and window_end are required unless arrive_by is given");
+    }
+
+    const end = window_end ? parseTimeInput(window_end, now, deadline) : deadline;
+    if (!end) {
+      throw invalid(`Invalid window_end time: ${window_end}`);
+    }
+
+    // Without an explicit start, look back three hours from the deadline
+    let start = window_start ? parseTimeInput(window_start, now, end) : addMinutes(end, -180);
+    if (!start) {
+      throw invalid(`Invalid window_start time: ${window_start}`);
+    }
+    if (start > end) {
+      // Overnight window given as bare times, e.g. 23:00 to 01:00
+      start = addMinutes(start, -24 * 60);
+    }
+    if (end <= now) {
+      throw invalid("The search window is entirely in the past");
+    }
+
+    return { start, end, deadline };
   }
 
-  async runHTTP(port = 3000) {
-    const app = express();
-    app.use(cors());
-    app.use(express.json());
+  async planTrip(args) {
+    const {
+      stops,
+      optimize_order = false,
+      departure_time = "now",
+      mode = "driving",
+      traffic_model = "best_guess",
+      units
+    } = args;
+    const options = this.routeOptions(args);
 
-    // Health check endpoint
-    app.get('/health', (req, res) => {
-      res.json({ status: 'ok', message: 'Traffic MCP Server is running' });
-    });
+    const now = new Date();
+    const start = parseTimeInput(departure_time, now);
+    if (!start) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid departure_time: ${departure_time}`);
+    }
 
-    // MCP endpoint - handle both GET (SSE) and POST (JSON-RPC)
-    app.post('/mcp', async (req, res) => {
-      console.log('MCP POST request received');
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    const ambiguity = await this.checkAmbiguousLocations(
+      Object.fromEntries(stops.map((stop, index) => [`stops[${index}].location`, stop.location])),
+      args.region
+    );
+    if (ambiguity) {
+      return ambiguity;
+    }
 
-      try {
-        const request = req.body;
-        console.log('MCP JSON-RPC request:', JSON.stringify(request, null, 2));
-
-        // Handle JSON-RPC requests directly without transport
-        if (request.method === 'initialize') {
-          const protocolVersion = request?.params?.protocolVersion || '2025-06-18';
-          const responseBody = {
-            jsonrpc: '2.0',
-            id: request.id,
-            result: {
-              protocolVersion,
-              serverInfo: {
-                name: 'traffic-boy-mcp-server',
-                version: '1.0.0'
-              },
-              capabilities: {
-                tools: {}
-              }
-            }
-          };
-          res.json(responseBody);
-
-        } else if (request.method === 'ping') {
-          res.json({
-            jsonrpc: '2.0',
-            id: request.id,
-            result: { ok: true, now: new Date().toISOString() }
-          });
-
-        } else if (request.method === 'tools/list') {
-          const tools = {
-            jsonrpc: '2.0',
-            id: request.id,
-            result: {
-              tools: [
-                {
-                  name: 'get_live_traffic',
-                  description: 'Get live traffic data between two locations using Google Maps',
-                  inputSchema: {
-                    type: 'object',
-                    properties: {
-                      origin: {
-                        type: 'string',
-                        description: 'Origin location (address or lat,lng)'
-                      },
-                      destination: {
-                        type: 'string', 
-                        description: 'Destination location (address or lat,lng)'
-                      },
-                      mode: {
-                        type: 'string',
-                        enum: ['driving', 'walking', 'bicycling', 'transit'],
-                        default: 'driving',
-                        description: 'Travel mode'
-                      }
-                    },
-                    required: ['origin', 'destination']
-                  }
-                },
-                {
-                  name: 'get_forecast_traffic',
-                  description: 'Get forecast traffic data for future travel times',
-                  inputSchema: {
-                    type: 'object',
-                    properties: {
-                      origin: {
-                        type: 'string',
-                        description: 'Origin location (address or lat,lng)'
-                      },
-                      destination: {
-                        type: 'string',
-                        description: 'Destination location (address or lat,lng)'
-                      },
-                      departure_time: {
-                        type: 'string',
-                        description: 'Departure time in ISO format or "now"'
-                      },
-                      mode: {
-                        type: 'string',
-                        enum: ['driving', 'walking', 'bicycling', 'transit'],
-                        default: 'driving',
-                        description: 'Travel mode'
-                      }
-                    },
-                    required: ['origin', 'destination', 'departure_time']
-                  }
-                },
-                {
-                  name: 'get_traffic_comparison',
-                  description: 'Compare current vs forecast traffic for route planning',
-                  inputSchema: {
-                    type: 'object',
-                    properties: {
-                      origin: {
-                        type: 'string',
-                        description: 'Origin location (address or lat,lng)'
-                      },
-                      destination: {
-                        type: 'string',
-                        description: 'Destination location (address or lat,lng)'
-                      },
-                      forecast_hours: {
-                        type: 'number',
-                        description: 'Hours from now to check forecast (1-24)',
-                        minimum: 1,
-                        maximum: 24,
-                        default: 1
-                      },
-                      mode: {
-                        type: 'string',
-                        enum: ['driving', 'walking', 'bicycling', 'transit'],
-                        default: 'driving',
-                        description: 'Travel mode'
-                      }
-                    },
-                    required: ['origin', 'destination']
-                  }
-                }
-              ]
-            }
-          };
-          res.json(tools);
-
-        } else if (request.method === 'tools/call') {
-          const { name, arguments: args } = request.params;
-          let result;
-
-          try {
-            switch (name) {
-              case 'get_live_traffic':
-                result = await this.getLiveTraffic(args);
-                break;
-              case 'get_forecast_traffic':
-                result = await this.getForecastTraffic(args);
-                break;
-              case 'get_traffic_comparison':
-                result = await this.getTrafficComparison(args);
-                break;
-              default:
-                throw new Error(`Unknown tool: ${name}`);
-            }
+    try {
+      const responses = [];
+      let order = stops.map((_, index) => index);
 
-            res.json({
-              jsonrpc: '2.0',
-              id: request.id,
-              result: result
-            });
-
-          } catch (error) {
-            console.error('Tool execution error:', error);
-            res.json({
-              jsonrpc: '2.0',
-              id: request.id,
-              error: {
-                code: -32603,
-                message: `Tool execution failed: ${error.message}`
-              }
-            });
-          }
+      // Let the provider pick the visiting order; first and last stops stay fixed
+      if (optimize_order && stops.length > 3) {
+        const response = await this.provider.directions({
+          origin: this.parseLocation(stops[0].location),
+          destination: this.parseLocation(stops[stops.length - 1].location),
+          waypoints: stops.slice(1, -1).map(stop => this.parseLocation(stop.location)),
+          optimizeWaypoints: true,
+          mode: mode,
+          ...options
+        });
+        responses.push(response);
 
-        } else {
-          res.json({
-            jsonrpc: '2.0',
-            error: { code: -32601, message: 'Method not found' },
-            id: request.id
-          });
+        const route = response.routes?.[0];
+        if (!route) {
+          return this.emptyResult("no_route", "No route found that visits all of the specified stops.", ...responses);
         }
+        order = [0, ...route.waypoint_order.map(index => index + 1), stops.length - 1];
+      }
 
-      } catch (error) {
-        console.error('MCP JSON-RPC error:', error);
-        res.json({
-          jsonrpc: '2.0',
-          error: { code: -32603, message: 'Internal error' },
-          id: req.body?.id
+      // Each leg is looked up on its own, departing when the previous stop's
+      // dwell time ends, so its traffic reflects when it will actually be driven
+      const legs = [];
+      const visits = [];
+      let clock = start;
+
+      for (let i = 0; i < order.length; i++) {
+        const stop = stops[order[i]];
+        const dwellMinutes = stop.dwell_minutes || 0;
+        const isFirst = i === 0;
+        const isLast = i === order.length - 1;
+
+        const visit = {
+          stop_index: order[i],
+          location: stop.location,
+          address: null,
+          arrival_time: isFirst ? null : clock.toISOString(),
+          dwell_minutes: isFirst || isLast ? 0 : dwellMinutes,
+          departure_time: null
+        };
+        visits.push(visit);
+
+        if (isLast) {
+          break;
+        }
+        if (!isFirst) {
+          clock = addMinutes(clock, dwellMinutes);
+        }
+        visit.departure_time = clock.toISOString();
+
+        const next = stops[order[i + 1]];
+        const response = await this.provider.directions({
+          origin: this.parseLocation(stop.location),
+          destination: this.parseLocation(next.location),
+          mode: mode,
+          departureTime: clock <= now ? "now" : clock,
+          trafficModel: traffic_model,
+          ...options
+        });
+        responses.push(response);
+
+        const leg = response.routes?.[0]?.legs[0];
+        if (!leg) {
+          return this.emptyResult("no_route", `No route found from "${stop.location}" to "${next.location}".`, ...responses);
+        }
+
+        visit.address = leg.start_address;
+        const seconds = travelSeconds(leg);
+        const arrival = new Date(clock.getTime() + seconds * 1000);
+        legs.push({
+          from: leg.start_address,
+          to: leg.end_address,
+          departure_time: clock.toISOString(),
+          arrival_time: arrival.toISOString(),
+          ...legMetrics(leg),
+          travel_seconds: seconds
         });
+        clock = arrival;
       }
-    });
+      visits[visits.length - 1].address = legs[legs.length - 1].to;
+
+      const totalTravelSeconds = legs.reduce((sum, leg) => sum + leg.travel_seconds, 0);
+      const dwellSeconds = visits.reduce((sum, visit) => sum + visit.dwell_minutes * 60, 0);
+      const totalMeters = legs.reduce((sum, leg) => sum + leg.distance_meters, 0);
+
+      const result = {
+        status: "ok",
+        departure_time: start.toISOString(),
+        order_optimized: optimize_order && stops.length > 3,
+        stop_order: order,
+        stops: visits,
+        legs: legs,
+        totals: {
+          distance_meters: totalMeters,
+          travel_seconds: totalTravelSeconds,
+          dwell_seconds: dwellSeconds,
+          total_seconds: totalTravelSeconds + dwellSeconds,
+          arrival_time: clock.toISOString()
+        }
+      };
+
+      const route = visits.map(visit => visit.address || visit.location).join(" → ");
+      return this.toolResult(
+        result,
+        `${route}: ${formatDistance(totalMeters, units)}, ${formatDuration(totalTravelSeconds)} of travel plus ${formatDuration(dwellSeconds)} at stops. Arrives ${result.totals.arrival_time}.`,
+        ...responses
+      );
+    } catch (error) {
+      throw this.upstreamError(error);
+    }
+  }
+
+  async getTravelMatrix(args) {
+    const {
+      origins,
+      destinations,
+      mode = "driving",
+      departure_time = "now",
+      sort_by = "duration",
+      max_duration_minutes,
+      max_distance_km,
+      limit,
+      traffic_model = "best_guess",
+      units
+    } = args;
+    const options = this.routeOptions(args);
+
+    const now = new Date();
+    const departure = parseTimeInput(departure_time, now);
+    if (!departure) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid departure_time: ${departure_time}`);
+    }
+
+    const ambiguity = await this.checkAmbiguousLocations({
+      ...Object.fromEntries(origins.map((origin, index) => [`origins[${index}]`, origin])),
+      ...Object.fromEntries(destinations.map((destination, index) => [`destinations[${index}]`, destination]))
+    }, args.region);
+    if (ambiguity) {
+      return ambiguity;
+    }
 
-    app.get('/mcp', (req, res) => {
-      console.log('MCP GET request - SSE not implemented, use POST for JSON-RPC');
-      res.status(400).json({ 
-        error: 'Use POST method for MCP JSON-RPC requests' 
+    try {
+      const response = await this.provider.distanceMatrix({
+        origins: origins.map(origin => this.parseLocation(origin)),
+        destinations: destinations.map(destination => this.parseLocation(destination)),
+        mode: mode,
+        departureTime: departure <= now ? "now" : departure,
+        trafficModel: traffic_model,
+        ...options
       });
-    });
 
-    app.listen(port, () => {
-      console.log(`Traffic MCP Server running on http://localhost:${port}`);
-      console.log(`MCP endpoint: http://localhost:${port}/mcp`);
-      console.log(`Health check: http://localhost:${port}/health`);
-    });
+      const sortKey = sort_by === "distance"
+        ? entry => entry.distance_meters
+        : entry => entry.travel_seconds;
+
+      const results = response.rows.map((row, originIndex) => {
+        const reachable = row.elements
+          .map((element, destinationIndex) => {
+            if (element.status !== "OK") {
+              return null;
+            }
+            return {
+              destination: response.destination_addresses[destinationIndex],
+              destination_index: destinationIndex,
+              ...legMetrics(element),
+              travel_seconds: travelSeconds(element)
+            };
+          })
+          .filter(Boolean);
+
+        const matching = reachable
+          .filter(entry => max_duration_minutes === undefined || entry.travel_seconds <= max_duration_minutes * 60)
+          .filter(entry => max_distance_km === undefined || entry.distance_meters <= max_distance_km * 1000)
+          .sort((a, b) => sortKey(a) - sortKey(b));
+
+        return {
+          origin: response.origin_addresses[originIndex],
+          origin_index: originIndex,
+          closest: matching[0] || null,
+          unreachable: row.elements.length - reachable.length,
+          destinations: limit ? matching.slice(0, limit) : matching
+        };
+      });
+
+      const result = {
+        status: "ok",
+        departure_time: departure.toISOString(),
+        mode: mode,
+        sorted_by: sort_by,
+        filters: {
+          ...(max_duration_minutes !== undefined && { max_duration_minutes }),
+          ...(max_distance_km !== undefined && { max_distance_km }),
+          ...(limit !== undefined && { limit })
+        },
+        results: results
+      };
+
+      const summary = results
+        .map(({ origin, closest }) => closest
+          ? `From ${origin}: ${closest.destination} is closest (${formatDuration(closest.travel_seconds)}, ${formatDistance(closest.distance_meters, units)}).`
+          : `From ${origin}: no destination matches.`)
+        .join("\n");
+      return this.toolResult(result, summary, response);
+    } catch (error) {
+      throw this.upstreamError(error);
+    }
   }
-}
 
-// Check for API key
-if (!process.env.GOOGLE_MAPS_API_KEY) {
-  console.error("Error: GOOGLE_MAPS_API_KEY environment variable is required");
-  console.error("Get your API key from: https://console.cloud.google.com/google/maps-apis");
-  process.exit(1);
-}
+  async getReachableArea(args) {
+    const {
+      origin,
+      max_minutes,
+      mode = "driving",
+      departure_time = "now",
+      traffic_model = "best_guess",
+      resolution = 11,
+      max_samples = 100,
+      sites = []
+    } = args;
+    const options = this.routeOptions(args);
+
+    const now = new Date();
+    const departure = parseTimeInput(departure_time, now);
+    if (!departure) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid departure_time: ${departure_time}`);
+    }
+
+    // Even resolutions are rounded up so the origin sits on the grid
+    const requested = resolution % 2 === 0 ? resolution + 1 : resolution;
+    const gridSize = fitResolution(requested, Math.min(max_samples, MAX_REACHABILITY_SAMPLES) - sites.length);
+    if (!gridSize) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `max_samples (${max_samples}) leaves no room for a sampling grid after ${sites.length} sites`
+      );
+    }
+
+    const ambiguity = await this.checkAmbiguousLocations({
+      origin,
+      ...Object.fromEntries(sites.map((site, index) => [`sites[${index}]`, site]))
+    }, args.region);
+    if (ambiguity) {
+      return ambiguity;
+    }
+
+    try {
+      const lookups = [];
+      const located = await this.locate(origin, lookups, args.region);
+      if (!located) {
+        return this.emptyResult("not_found", `No location found for "${origin}".`, ...lookups);
+      }
+      const { location: center, address: originAddress } = located;
+
+      const radiusMeters = MAX_SPEEDS_KMH[mode] * 1000 * max_minutes / 60;
+      const grid = samplingGrid(center, radiusMeters, gridSize);
+      const response = await this.provider.distanceMatrix({
+        origins: [this.parseLocation(origin)],
+        destinations: [...grid.map(({ lat, lng }) => `${lat},${lng}`), ...sites.map(site => this.parseLocation(site))],
+        mode: mode,
+        departureTime: departure <= now ? "now" : departure,
+        trafficModel: traffic_model,
+        ...options
+      });
+      lookups.push(response);
+
+      const budget = max_minutes * 60;
+      const elements = response.rows[0].elements;
+      const samples = grid.map((point, index) => ({ point, element: elements[index] }))
+        .filter(({ element }) => element.status === "OK");
+      const reachable = samples.filter(({ element }) => travelSeconds(element) <= budget);
 
-const server = new TrafficMCPServer();
+      // About two sectors per grid step around the edge; more would catch inner
+      // points in the gaps between edge points and notch the outline
+      const sectors = Math.max(8, 2 * (gridSize - 1));
+      const polygon = reachablePolygon(center, reachable.map(({ point }) => point), sectors);
+      if (!polygon) {
+        return this.emptyResult(
+          "no_route",
+          `Too little is reachable from ${originAddress} within ${max_minutes} min by ${mode} to draw an area.`,
+          ...lookups
+        );
+      }
+
+      const edgeMeters = radiusMeters * (1 - 2 / (gridSize - 1));
+      const farthest = reachable
+        .map(({ point, element }) => ({
+          location: point,
+          straight_line_meters: Math.round(distanceMeters(center, point)),
+          travel_seconds: travelSeconds(element)
+        }))
+        .sort((a, b) => b.straight_line_meters - a.straight_line_meters)[0];
+
+      const result = {
+        status: "ok",
+        origin: response.origin_addresses[0] || originAddress,
+        origin_location: center,
+        mode: mode,
+        departure_time: departure.toISOString(),
+        max_minutes: max_minutes,
+        area: {
+          type: "Feature",
+          geometry: polygon,
+          properties: { origin: originAddress, mode, max_minutes, departure_time: departure.toISOString() }
+        },
+        area_km2: polygonAreaKm2(polygon),
+        farthest: farthest,
+        sampling: {
+          resolution: gridSize,
+          radius_km: Math.round(radiusMeters / 100) / 10,
+          samples: grid.length,
+          reachable: reachable.length,
+          unreachable: grid.length - samples.length,
+          reduced_resolution: gridSize < requested,
+          // Reachable samples in the outer ring mean the real area may be bigger than sampled
+          reaches_edge: farthest.straight_line_meters > edgeMeters
+        },
+        sites: sites.map((site, index) => {
+          const element = elements[grid.length + index];
+          const seconds = element.status === "OK" ? travelSeconds(element) : null;
+          return {
+            site: site,
+            address: response.destination_addresses[grid.length + index] || site,
+            reachable: seconds !== null && seconds <= budget,
+            travel_seconds: seconds,
+            distance_meters: element.status === "OK" ? element.distance.value : null
+          };
+        })
+      };
+
+      const lines = [
+        `About ${result.area_km2} km² is reachable from ${result.origin} within ${max_minutes} min by ${mode} ` +
+          `(${reachable.length} of ${grid.length} sampled points).`
+      ];
+      if (result.sampling.reduced_resolution) {
+        lines.push(`Sampled at resolution ${gridSize} instead of ${requested} to stay within ${max_samples} samples.`);
+      }
+      for (const site of result.sites) {
+        lines.push(site.travel_seconds === null
+          ? `- ${site.address}: no route`
+          : `- ${site.address}: ${formatDuration(site.travel_seconds)}, ${site.reachable ? "within reach" : "out of reach"}`);
+      }
+      return this.toolResult(result, lines.join("\n"), ...lookups);
+    } catch (error) {
+      throw this.upstreamError(error);
+    }
+  }
 
-// Check command line arguments
-const mode = process.argv[2]; // 'http' or 'stdio'
-const port = process.argv[3] || 3000;
+  async findMeetingPoint(args) {
+    const {
+      travelers,
+      venues,
+      category,
+      near,
+      radius_meters,
+      candidate_limit = 10,
+      rank_by = "max",
+      departure_time = "now",
+      traffic_model = "best_guess",
+      limit = 5
+    } = args;
+    const options = this.routeOptions(args);
+
+    if (Boolean(venues?.length) === Boolean(category)) {
+      throw new McpError(ErrorCode.InvalidParams, "Pass either venues or a category to search for, not both");
+    }
+    if (!category && (near || radius_meters !== undefined)) {
+      throw new McpError(ErrorCode.InvalidParams, "near and radius_meters only apply when searching by category");
+    }
+
+    const now = new Date();
+    const departure = parseTimeInput(departure_time, now);
+    if (!departure) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid departure_time: ${departure_time}`);
+    }
+
+    const people = travelers.map(({ name, origin, mode = "driving" }, index) => ({
+      name: name || `Traveler ${index + 1}`,
+      origin,
+      mode
+    }));
+
+    const ambiguity = await this.checkAmbiguousLocations({
+      ...Object.fromEntries(people.map(({ origin }, index) => [`travelers[${index}].origin`, origin])),
+      ...Object.fromEntries((venues || []).map((venue, index) => [`venues[${index}]`, venue])),
+      ...(near && { near })
+    }, args.region);
+    if (ambiguity) {
+      return ambiguity;
+    }
+
+    try {
+      const lookups = [];
+      let candidates;
+      let search;
+      if (category) {
+        search = await this.meetingSearchArea(people, near, radius_meters, lookups, args.region);
+        if (search.missing) {
+          return this.emptyResult("not_found", `No location found for "${search.missing}".`, ...lookups);
+        }
+        const response = await this.geocoder().searchPlaces({ query: category, location: search.location, radius: search.radius_meters });
+        lookups.push(response);
+        if (response.results.length === 0) {
+          return this.emptyResult("no_results", `No places matching "${category}" found between the travelers.`, ...lookups);
+        }
+        candidates = response.results.slice(0, candidate_limit).map(place => {
+          const { name, address, location_ref } = this.describePlace(place);
+          return { venue: location_ref, name, address };
+        });
+      } else {
+        candidates = venues.map(venue => ({ venue, name: null, address: null }));
+      }
+
+      // One matrix per travel mode, from that mode's travelers to every candidate
+      const modes = [...new Set(people.map(person => person.mode))];
+      const responses = await Promise.all(modes.map(mode => this.provider.distanceMatrix({
+        origins: people.filter(person => person.mode === mode).map(person => this.parseLocation(person.origin)),
+        destinations: candidates.map(candidate => this.parseLocation(candidate.venue)),
+        mode: mode,
+        departureTime: departure <= now ? "now" : departure,
+        trafficModel: traffic_model,
+        ...options
+      })));
+      lookups.push(...responses);
+      modes.forEach((mode, index) => {
+        const response = responses[index];
+        people.filter(person => person.mode === mode).forEach((person, row) => {
+          person.address = response.origin_addresses[row] || person.origin;
+          person.elements = response.rows[row].elements;
+        });
+        candidates.forEach((candidate, column) => {
+          candidate.address ??= response.destination_addresses[column];
+        });
+      });
+
+      const start = departure <= now ? now : departure;
+      const ranked = [];
+      const excluded = [];
+      candidates.forEach((candidate, index) => {
+        const etas = people.map(person => {
+          const element = person.elements[index];
+          if (element.status !== "OK") {
+            return null;
+          }
+          const seconds = travelSeconds(element);
+          return {
+            traveler: person.name,
+            mode: person.mode,
+            travel_seconds: seconds,
+            distance_meters: element.distance.value,
+            arrival_time: new Date(start.getTime() + seconds * 1000).toISOString()
+          };
+        });
+        const venue = { venue: candidate.venue, name: candidate.name, address: candidate.address || candidate.venue };
+        if (etas.includes(null)) {
+          excluded.push({ ...venue, unreachable_for: people.filter((_, row) => !etas[row]).map(person => person.name) });
+          return;
+        }
+        const seconds = etas.map(eta => eta.travel_seconds);
+        ranked.push({
+          ...venue,
+          max_travel_seconds: Math.max(...seconds),
+          total_travel_seconds: seconds.reduce((sum, value) => sum + value, 0),
+          spread_seconds: Math.max(...seconds) - Math.min(...seconds),
+          etas: etas
+        });
+      });
+
+      if (ranked.length === 0) {
+        return this.emptyResult("no_route", "None of the candidates can be reached by every traveler.", ...lookups);
+      }
+
+      // Ties on the main measure go to the other one
+      const keys = rank_by === "total"
+        ? ["total_travel_seconds", "max_travel_seconds"]
+        : ["max_travel_seconds", "total_travel_seconds"];
+      ranked.sort((a, b) => a[keys[0]] - b[keys[0]] || a[keys[1]] - b[keys[1]]);
+
+      const result = {
+        status: "ok",
+        ranked_by: rank_by,
+        departure_time: start.toISOString(),
+        travelers: people.map(({ name, address, mode }) => ({ name, origin: address, mode })),
+        ...(search && { search: { category, location: search.location, radius_meters: search.radius_meters } }),
+        meeting_points: ranked.slice(0, limit).map((entry, index) => ({ rank: index + 1, ...entry })),
+        excluded: excluded
+      };
+
+      const [best, ...others] = result.meeting_points;
+      const label = entry => entry.name ? `${entry.name}, ${entry.address}` : entry.address;
+      const lines = [
+        `Best meeting point: ${label(best)} (longest trip ${formatDuration(best.max_travel_seconds)}, ` +
+          `${formatDuration(best.total_travel_seconds)} in total).`,
+        ...best.etas.map(eta => `- ${eta.traveler}: ${formatDuration(eta.travel_seconds)} by ${eta.mode}`)
+      ];
+      if (others.length > 0) {
+        lines.push(`Next best: ${others.map(entry => `${label(entry)} (longest ${formatDuration(entry.max_travel_seconds)}, total ${formatDuration(entry.total_travel_seconds)})`).join("; ")}.`);
+      }
+      if (excluded.length > 0) {
+        lines.push(`${excluded.length} candidate(s) left out because someone can't get there.`);
+      }
+      return this.toolResult(result, lines.join("\n"), ...lookups);
+    } catch (error) {
+      throw this.upstreamError(error);
+    }
+  }
+
+  // Where to search for a meeting place: around `near`, or the middle of the
+  // travelers, far enough out to cover the farthest of them. `missing` names a
+  // location that could not be found.
+  async meetingSearchArea(people, near, radius, lookups, region) {
+    if (near) {
+      const located = await this.locate(near, lookups, region);
+      return located
+        ? { location: located.location, radius_meters: radius ?? DEFAULT_MEETING_RADIUS_METERS }
+        : { missing: near };
+    }
+
+    const located = await Promise.all(people.map(person => this.locate(person.origin, lookups, region)));
+    const missing = people.find((_, index) => !located[index]);
+    if (missing) {
+      return { missing: missing.origin };
+    }
+    const points = located.map(({ location }) => location);
+    const middle = centroid(points);
+    const spread = Math.max(...points.map(point => distanceMeters(middle, point)));
+    return {
+      location: middle,
+      radius_meters: radius ?? Math.min(MAX_MEETING_RADIUS_METERS, Math.max(DEFAULT_MEETING_RADIUS_METERS, Math.round(spread)))
+    };
+  }
+
+  async getTrafficHistory(args) {
+    const { origin, destination, mode = "driving", weekday, hour, compare_now = true } = args;
+
+    if (!this.history) {
+      throw new McpError(ErrorCode.InvalidRequest, "Traffic history is disabled. Set TRAFFIC_HISTORY=on to start recording live lookups.");
+    }
+
+    const route = {
+      origin: this.parseLocation(origin),
+      destination: this.parseLocation(destination),
+      mode: mode
+    };
+
+    // Take a live reading so there is always something to compare with today
+    let today = null;
+    let response;
+    if (compare_now) {
+      const ambiguity = await this.checkAmbiguousLocations({ origin, destination }, args.region);
+      if (ambiguity) {
+        return ambiguity;
+      }
+
+      const request = { ...route, departureTime: "now", trafficModel: "best_guess" };
+      try {
+        response = await this.provider.directions(request);
+      } catch (error) {
+        throw this.upstreamError(error);
+      }
+
+      const leg = response.routes?.[0]?.legs[0];
+      if (leg) {
+        today = this.compareWithTypical(route, new Date(), travelSeconds(leg));
+        this.recordObservation(request, response);
+      }
+    } else {
+      const startOfDay = new Date();
+      startOfDay.setHours(0, 0, 0, 0);
+      const latest = this.history.observations(route).at(-1);
+      if (latest && new Date(latest.at) >= startOfDay) {
+        today = this.compareWithTypical(route, new Date(latest.at), latest.duration_in_traffic ?? latest.duration);
+      }
+    }
+
+    const observations = this.history.observations(route);
+    const slots = this.history.profile(route, {
+      weekday: weekday === undefined ? undefined : WEEKDAYS.findIndex(day => day.toLowerCase() === weekday),
+      hour: hour
+    });
+
+    const result = {
+      status: "ok",
+      origin: origin,
+      destination: destination,
+      mode: mode,
+      observations: observations.length,
+      first_observed: observations[0]?.at || null,
+      last_observed: observations.at(-1)?.at || null,
+      typical: slots.map(slot => ({
+        weekday: WEEKDAYS[slot.weekday],
+        hour: slot.hour,
+        samples: slot.samples,
+        p10_seconds: slot.p10,
+        median_seconds: slot.p50,
+        p90_seconds: slot.p90
+      })),
+      today: today
+    };
+
+    if (observations.length === 0) {
+      result.note = "No trips recorded for this route yet. Live lookups (get_live_traffic, get_traffic_comparison, watches) are recorded while TRAFFIC_HISTORY=on.";
+    }
+
+    const summary = [
+      `${observations.length} recorded trip(s) in ${slots.length} weekday/hour slot(s).`,
+      ...result.typical.map(slot => `${this.describeSlot({ weekday: WEEKDAYS.indexOf(slot.weekday), hour: slot.hour })}: typically ${formatDuration(slot.median_seconds)} (${formatDuration(slot.p10_seconds)} to ${formatDuration(slot.p90_seconds)}, ${slot.samples} trips)`),
+      today?.summary && `Today: ${today.summary}`,
+      result.note
+    ].filter(Boolean).join("\n");
+
+    return this.toolResult(result, summary, ...(response ? [response] : []));
+  }
+
+  // How a trip at `date` compares with earlier trips in the same weekday/hour slot
+  compareWithTypical(route, date, seconds) {
+    const typical = this.history.typicalAt(route, date);
+    const comparison = {
+      at: date.toISOString(),
+      travel_seconds: seconds
+    };
+    const slot = this.describeSlot({ weekday: date.getDay(), hour: date.getHours() });
+
+    if (!typical || typical.samples < MIN_HISTORY_SAMPLES) {
+      comparison.summary = `Not enough history for ${slot} yet (${typical?.samples || 0} recorded trips, need ${MIN_HISTORY_SAMPLES}).`;
+      return comparison;
+    }
+
+    const differenceSeconds = seconds - typical.p50;
+    const percentile = this.history.percentileRank(route, date, seconds);
+    comparison.typical_seconds = typical.p50;
+    comparison.difference_seconds = differenceSeconds;
+    comparison.percentile = percentile;
+    comparison.summary = Math.abs(differenceSeconds) < 60
+      ? `About the same as usual for ${slot} (${formatDuration(typical.p50)}, from ${typical.samples} recorded trips).`
+      : `${formatDuration(Math.abs(differenceSeconds))} ${differenceSeconds > 0 ? "slower" : "faster"} than usual for ${slot} (${formatDuration(typical.p50)}); slower than ${percentile}% of ${typical.samples} recorded trips.`;
+    return comparison;
+  }
+
+  async getUsageStats(args, context) {
+    const { days = 7 } = args;
+
+    if (!this.usage) {
+      throw new McpError(ErrorCode.InvalidRequest, "Usage metering is disabled.");
+    }
+
+    const report = this.usage.report({ days, clientId: context.userId });
+    const { daily, monthly, exceeded } = report.budget;
+    const result = {
+      status: "ok",
+      provider: this.provider.name,
+      mode: exceeded ? "cached_only" : "normal",
+      ...report
+    };
+
+    const spend = ({ calls, cost_usd }) => `${calls} call${calls === 1 ? "" : "s"}, ~$${cost_usd.toFixed(2)}`;
+    const cap = (label, budget) => budget && `${label} budget: $${budget.spent_usd.toFixed(2)} of $${budget.limit_usd.toFixed(2)} (${budget.used_percent}%)`;
+    const summary = [
+      exceeded && `Upstream ${exceeded.period} budget reached: serving cached results only until ${exceeded.resets_at}.`,
+      `Today: ${spend(report.today)}. This month: ${spend(report.this_month)}.`,
+      cap("Daily", daily),
+      cap("Monthly", monthly),
+      report.tools.length > 0 && `Last ${days} day(s) by tool: ${report.tools.map(tool => `${tool.tool} ${spend(tool)}`).join("; ")}.`,
+      `Your usage over the last ${days} day(s): ${spend(report.client)}.`
+    ].filter(Boolean).join("\n");
+
+    return this.toolResult(result, summary);
+  }
+
+  async searchPlaces(args) {
+    const { query, near, radius_meters = 5000, limit = 5 } = args;
+    const geocoder = this.geocoder();
+
+    try {
+      const lookups = [];
+      let location;
+      if (near) {
+        location = this.parseCoordinates(near);
+        if (!location) {
+          const response = await geocoder.geocode({ address: near });
+          lookups.push(response);
+          location = response.results[0]?.location;
+          if (!location) {
+            throw new UpstreamError("ZERO_RESULTS", `Could not find the 'near' location: ${near}`);
+          }
+        }
+      }
+
+      const response = await geocoder.searchPlaces({ query, location, radius: radius_meters });
+      lookups.push(response);
+
+      if (response.results.length === 0) {
+        return this.emptyResult("no_results", `No places found matching "${query}".`, ...lookups);
+      }
+
+      const result = {
+        status: "ok",
+        query: query,
+        ...(near && { near: { query: near, location } }),
+        count: Math.min(response.results.length, limit),
+        places: response.results.slice(0, limit).map(place => this.describePlace(place))
+      };
+
+      const list = result.places.map(place => `- ${place.name}, ${place.address} (${place.location_ref})`).join("\n");
+      return this.toolResult(result, `Found ${result.count} place(s) for "${query}":\n${list}`, ...lookups);
+    } catch (error) {
+      throw this.upstreamError(error, "Place search");
+    }
+  }
+
+  async geocode(args) {
+    const { address, region } = args;
+    const geocoder = this.geocoder();
+
+    try {
+      const response = await geocoder.geocode({ address, region });
+
+      if (response.results.length === 0) {
+        return this.emptyResult("no_results", `No location found for "${address}".`, response);
+      }
+
+      const result = {
+        status: "ok",
+        query: address,
+        ambiguous: response.results.length > 1,
+        results: response.results.map(place => this.describePlace(place))
+      };
+
+      const [first] = result.results;
+      const summary = result.ambiguous
+        ? `"${address}" matches ${result.results.length} places:\n${result.results.map(place => `- ${place.address} (${place.location_ref})`).join("\n")}`
+        : `"${address}" is ${first.address} at ${first.location.lat},${first.location.lng} (${first.location_ref}).`;
+      return this.toolResult(result, summary, response);
+    } catch (error) {
+      throw this.upstreamError(error, "Geocoding");
+    }
+  }
+
+  async reverseGeocode(args) {
+    const { location } = args;
+    const { lat, lng } = this.parseCoordinates(location);
+    const geocoder = this.geocoder();
+
+    try {
+      const response = await geocoder.reverseGeocode({ lat, lng });
+
+      if (response.results.length === 0) {
+        return this.emptyResult("no_results", `No address found near ${location}.`, response);
+      }
+
+      const result = {
+        status: "ok",
+        location: { lat, lng },
+        address: response.results[0].address,
+        results: response.results.slice(0, 5).map(place => this.describePlace(place))
+      };
+
+      return this.toolResult(result, `${location} is ${result.address}.`, response);
+    } catch (error) {
+      throw this.upstreamError(error, "Geocoding");
+    }
+  }
+
+  geocoder() {
+    if (!this.provider.geocode) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `The ${this.provider.name} provider does not support geocoding or place search`
+      );
+    }
+    return this.provider;
+  }
+
+  // Coordinates and address of a location, geocoding free text; null when
+  // nothing matches. Geocoder responses are added to `lookups`.
+  async locate(location, lookups, region) {
+    const coordinates = this.parseCoordinates(location);
+    if (coordinates) {
+      return { location: coordinates, address: location };
+    }
+    const response = await this.geocoder().geocode({ address: location, region });
+    lookups.push(response);
+    const [place] = response.results;
+    return place ? { location: place.location, address: place.address } : null;
+  }
+
+  describePlace(place) {
+    return {
+      name: place.name,
+      address: place.address,
+      location: place.location,
+      place_id: place.place_id,
+      // Can be passed back as an origin/destination to route to exactly this place
+      location_ref: `place_id:${place.place_id}`,
+      types: place.types,
+      ...(place.rating !== undefined && { rating: place.rating })
+    };
+  }
+
+  // Geocodes free-text locations before routing. When a query matches several
+  // places, returns a tool result listing the candidates (with place IDs the
+  // caller can retry with) instead of letting the router silently pick one.
+  async checkAmbiguousLocations(fields, region) {
+    if (!this.disambiguate || !this.provider.geocode) {
+      return null;
+    }
+
+    const queries = Object.entries(fields).filter(([, value]) =>
+      !this.parseCoordinates(value) && !value.startsWith("place_id:")
+    );
+
+    let lookups;
+    try {
+      lookups = await Promise.all(queries.map(async ([field, query]) => ({
+        field,
+        query,
+        response: await this.provider.geocode({ address: query, region })
+      })));
+    } catch (error) {
+      // Disambiguation is best-effort; let the router resolve the text itself
+      this.logger.warn("Skipping location disambiguation", { error });
+      return null;
+    }
+
+    const ambiguous = lookups.filter(({ response }) => response.results.length > 1);
+    if (ambiguous.length === 0) {
+      return null;
+    }
+
+    const result = {
+      status: "ambiguous_location",
+      message: "Some locations match several places. Retry with one of the candidates' location_ref values (or a more specific address).",
+      locations: ambiguous.map(({ field, query, response }) => ({
+        field: field,
+        query: query,
+        candidates: response.results.slice(0, 5).map(place => this.describePlace(place))
+      }))
+    };
+
+    const summary = [
+      result.message,
+      ...result.locations.map(({ field, query, candidates }) =>
+        `${field} "${query}" could be:\n${candidates.map(place => `- ${place.address} (${place.location_ref})`).join("\n")}`
+      )
+    ].join("\n");
+    return this.toolResult(result, summary, ...lookups.map(({ response }) => response));
+  }
+
+  async savePlace(args, context) {
+    const { alias, location, label, overwrite = true } = args;
+    const existing = this.places.get(context.userId, alias);
+
+    if (existing && !overwrite) {
+      throw new McpError(ErrorCode.InvalidParams, `A place named '@${existing.alias}' already exists`);
+    }
+
+    const ambiguity = await this.checkAmbiguousLocations({ location });
+    if (ambiguity) {
+      return ambiguity;
+    }
+
+    // Pin free-text locations to a place ID so the alias always routes to the same spot
+    let saved = { location, address: null };
+    if (this.provider.geocode && !this.parseCoordinates(location) && !location.startsWith("place_id:")) {
+      try {
+        const response = await this.provider.geocode({ address: location });
+        const match = response.results[0];
+        if (match) {
+          saved = { location: `place_id:${match.place_id}`, address: match.address };
+        }
+      } catch (error) {
+        this.logger.warn("Saving place without geocoding", { location, error });
+      }
+    }
+
+    const place = await this.places.save(context.userId, {
+      alias: alias,
+      label: label || null,
+      input: location,
+      location: saved.location,
+      address: saved.address
+    });
+
+    const result = {
+      status: "ok",
+      saved: place,
+      replaced: Boolean(existing)
+    };
+
+    return this.toolResult(
+      result,
+      `Saved '@${place.alias}' (${place.address || place.input}). Use '@${place.alias}' as an origin or destination in any routing tool.`
+    );
+  }
+
+  async listPlaces(args, context) {
+    const places = this.places.list(context.userId);
+
+    return this.toolResult(
+      { status: "ok", count: places.length, places },
+      places.length === 0
+        ? "No saved places yet. Use save_place to add one, e.g. alias 'home'."
+        : places.map(place => `- @${place.alias}: ${place.address || place.input}${place.label ? ` (${place.label})` : ""}`).join("\n")
+    );
+  }
+
+  async deletePlace(args, context) {
+    const alias = normalizeAlias(args.alias);
+    const deleted = await this.places.delete(context.userId, alias);
+
+    return this.toolResult(
+      { status: deleted ? "ok" : "not_found", alias, deleted },
+      deleted ? `Deleted saved place '@${alias}'.` : `No saved place named '@${alias}'.`
+    );
+  }
+
+  async createWatch(args, context) {
+    const {
+      origin,
+      destination,
+      schedule,
+      mode = "driving",
+      threshold_minutes,
+      increase_percent,
+      baseline_minutes,
+      label
+    } = args;
+    // Stored with the watch so every scheduled check routes the same way
+    const routeOptions = Object.fromEntries(
+      ["avoid", "units", "language", "region", "traffic_model"]
+        .filter(key => args[key] !== undefined)
+        .map(key => [key, args[key]])
+    );
+
+    if (threshold_minutes === undefined && increase_percent === undefined) {
+      throw new McpError(ErrorCode.InvalidParams, "Set threshold_minutes, increase_percent or both");
+    }
+
+    let runs;
+    try {
+      runs = upcomingRuns(schedule, 3);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+
+    if (this.watches.list(context.userId).length >= MAX_WATCHES_PER_USER) {
+      throw new McpError(ErrorCode.InvalidRequest, `You already have ${MAX_WATCHES_PER_USER} watches. Delete one with delete_watch first.`);
+    }
+
+    const ambiguity = await this.checkAmbiguousLocations({ origin, destination }, args.region);
+    if (ambiguity) {
+      return ambiguity;
+    }
+
+    const watch = {
+      origin,
+      destination,
+      mode,
+      schedule,
+      threshold_minutes: threshold_minutes ?? null,
+      increase_percent: increase_percent ?? null,
+      baseline_minutes: baseline_minutes ?? null,
+      label: label || null,
+      route_options: routeOptions
+    };
+
+    // Check once up front so a bad route fails now rather than on every scheduled run
+    let initial;
+    try {
+      initial = await this.checkWatch(watch, new Date(), { alert: false });
+    } catch (error) {
+      throw this.upstreamError(error);
+    }
+    if (!initial.route) {
+      return this.emptyResult("no_route", initial.changes.last_error.message, initial.response);
+    }
+
+    // The initial check isn't stored, so the first scheduled run alerts if traffic is already bad
+    const saved = await this.watches.add(context.userId, {
+      ...watch,
+      label: watch.label || initial.route,
+      next_run: runs[0].toISOString()
+    });
+
+    const result = {
+      status: "ok",
+      watch: this.describeWatch(saved),
+      upcoming_runs: runs.map(date => date.toISOString()),
+      current: initial.changes.last_check,
+      delivery: this.alertChannels(),
+      note: "Alerts fire when a check crosses the threshold, and again only after traffic has recovered in between."
+    };
+
+    return this.toolResult(
+      result,
+      `Watching ${saved.label} (${saved.id}), next check ${result.upcoming_runs[0]}. Currently ${formatDuration(result.current.travel_seconds)}${result.current.triggered ? `, already ${result.current.reasons.join(" and ")}` : ""}. ${result.note}`
+    );
+  }
+
+  async listWatches(args, context) {
+    const watches = this.watches.list(context.userId).map(watch => this.describeWatch(watch));
+
+    return this.toolResult(
+      { status: "ok", count: watches.length, watches },
+      watches.length === 0
+        ? "No watches yet. Use create_watch to monitor a commute."
+        : watches.map(watch => `- ${watch.id} ${watch.label} (${watch.schedule}), next check ${watch.next_run}${watch.last_check ? `, last ${formatDuration(watch.last_check.travel_seconds)}` : ""}`).join("\n")
+    );
+  }
+
+  async deleteWatch(args, context) {
+    const { id } = args;
+    const deleted = await this.watches.delete(context.userId, id);
+
+    return this.toolResult(
+      { status: deleted ? "ok" : "not_found", id, deleted },
+      deleted ? `Deleted watch ${id}.` : `No watch with ID ${id}.`
+    );
+  }
+
+  // Looks up the route for a watch and compares it with the thresholds. Alerts
+  // only on the transition into the triggered state so a long jam doesn't
+  // produce an alert every poll. Returns the fields to store on the watch.
+  async checkWatch(watch, now = new Date(), { alert = true } = {}) {
+    const request = {
+      origin: this.parseLocation(watch.origin),
+      destination: this.parseLocation(watch.destination),
+      mode: watch.mode,
+      departureTime: "now",
+      trafficModel: watch.route_options?.traffic_model || "best_guess",
+      ...this.routeOptions(watch.route_options || {})
+    };
+    const response = await this.provider.directions(request);
+    this.recordObservation(request, response);
+
+    // A route that stops existing is a failed check to record, not an exception
+    const leg = response.routes?.[0]?.legs[0];
+    if (!leg) {
+      return {
+        route: null,
+        response,
+        changes: { last_error: { at: now.toISOString(), message: "No routes found between the specified locations." } }
+      };
+    }
+
+    const durationSeconds = travelSeconds(leg);
+    const baselineSeconds = watch.baseline_minutes !== null && watch.baseline_minutes !== undefined
+      ? watch.baseline_minutes * 60
+      : leg.duration.value;
+    const increasePercent = Math.round((durationSeconds / baselineSeconds - 1) * 100);
+
+    const reasons = [];
+    if (watch.threshold_minutes !== null && durationSeconds >= watch.threshold_minutes * 60) {
+      reasons.push(`over the ${watch.threshold_minutes} min threshold`);
+    }
+    if (watch.increase_percent !== null && increasePercent >= watch.increase_percent) {
+      reasons.push(`${increasePercent}% above the ${formatDuration(baselineSeconds)} baseline`);
+    }
+
+    const route = `${leg.start_address} → ${leg.end_address}`;
+    const bottleneck = analyzeCongestion(leg, { maxBottlenecks: 1 }).bottlenecks[0];
+    const lastCheck = {
+      at: now.toISOString(),
+      travel_seconds: durationSeconds,
+      baseline_seconds: baselineSeconds,
+      increase_percent: increasePercent,
+      triggered: reasons.length > 0,
+      reasons
+    };
+    const changes = { last_check: lastCheck, last_error: null };
+
+    if (alert && lastCheck.triggered && !watch.last_check?.triggered) {
+      const where = bottleneck
+        ? ` Worst slowdown: ${bottleneck.road}${bottleneck.near ? ` near ${bottleneck.near}` : ""} (+${formatDuration(bottleneck.delay_seconds)}).`
+        : "";
+      const message = `Traffic alert for ${watch.label || route}: ${formatDuration(durationSeconds)} in traffic, ${reasons.join(" and ")}.${where}`;
+      const payload = {
+        watch_id: watch.id,
+        label: watch.label || route,
+        origin: leg.start_address,
+        destination: leg.end_address,
+        message,
+        ...lastCheck
+      };
+      changes.last_alert = {
+        at: lastCheck.at,
+        message,
+        delivered: await this.deliverAlert(watch.user_id, payload)
+      };
+    }
+
+    return { route, response, changes };
+  }
+
+  // Sends an alert to the owner's connected MCP sessions (as a logging
+  // notification) and to the webhook. Returns the channels that accepted it.
+  async deliverAlert(userId, payload) {
+    const delivered = [];
+
+    for (const [server, connectionUserId] of this.connections) {
+      if (connectionUserId !== userId) {
+        continue;
+      }
+      try {
+        await server.sendLoggingMessage({ level: "warning", logger: "traffic-watch", data: payload });
+        delivered.push("mcp_notification");
+      } catch (error) {
+        this.logger.warn("Failed to notify MCP session", { error });
+      }
+    }
+
+    if (this.webhookUrl) {
+      try {
+        const response = await fetch(this.webhookUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ type: "traffic_watch_alert", user: userId, ...payload }),
+          signal: AbortSignal.timeout(10000)
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        delivered.push("webhook");
+      } catch (error) {
+        this.logger.warn("Failed to deliver watch alert to webhook", { error });
+      }
+    }
+
+    return [...new Set(delivered)];
+  }
+
+  alertChannels() {
+    const channels = ["mcp_notification (while this client is connected)"];
+    if (this.webhookUrl) {
+      channels.push("webhook");
+    }
+    return channels;
+  }
+
+  describeWatch(watch) {
+    const { user_id, ...details } = watch;
+    return details;
+  }
+
+  // Expands "@alias" references in location arguments to the saved location
+  resolveSavedPlaces(args, context) {
+    const resolve = (value, field) => {
+      if (typeof value !== "string" || !value.startsWith("@")) {
+        return value;
+      }
+      const place = this.places.get(context.userId, value);
+      if (!place) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Unknown saved place '${value}' in ${field}. Use save_place to create it or list_places to see your saved places.`
+        );
+      }
+      return place.location;
+    };
+
+    const resolved = { ...args };
+    for (const field of ["origin", "destination", "near", "location"]) {
+      if (field in resolved) {
+        resolved[field] = resolve(resolved[field], field);
+      }
+    }
+    for (const field of ["origins", "destinations", "sites", "venues"]) {
+      if (Array.isArray(resolved[field])) {
+        resolved[field] = resolved[field].map((value, index) => resolve(value, `${field}[${index}]`));
+      }
+    }
+    if (Array.isArray(resolved.travelers)) {
+      resolved.travelers = resolved.travelers.map((traveler, index) => ({
+        ...traveler,
+        origin: resolve(traveler.origin, `travelers[${index}].origin`)
+      }));
+    }
+    if (Array.isArray(resolved.stops)) {
+      resolved.stops = resolved.stops.map((stop, index) => ({
+        ...stop,
+        location: resolve(stop.location, `stops[${index}].location`)
+      }));
+    }
+    return resolved;
+  }
+
+  // Adds a live lookup to the traffic history. Cached responses are skipped so
+  // repeated polls don't count the same observation twice.
+  recordObservation(request, response) {
+    const leg = response.routes?.[0]?.legs[0];
+    if (!this.history || !leg || ["hit", "coalesced", "stale"].includes(response.cache?.status)) {
+      return;
+    }
+    // Only typical-traffic lookups of the unrestricted route are comparable over time
+    if (request.trafficModel !== "best_guess" || request.avoid) {
+      return;
+    }
+    this.history
+      .record(request, { duration: leg.duration.value, durationInTraffic: leg.duration_in_traffic?.value })
+      .catch(error => this.logger.error("Failed to record traffic history", { error }));
+  }
+
+  // Tool results carry their data as structuredContent (seconds, meters, ISO
+  // timestamps) with a short summary for LLM clients. The same data follows as
+  // JSON text for clients that don't read structuredContent.
+  toolResult(data, summary, ...responses) {
+    // Over budget, old cached data is better than none, but say so
+    const stale = responses.filter(response => response.cache?.status === "stale");
+    if (stale.length > 0) {
+      const age = Math.max(...stale.map(response => response.cache.age_seconds));
+      summary = `Upstream budget reached; using cached data ${age < 60 ? "under a minute" : `up to ${formatDuration(age)}`} old.\n${summary}`;
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: summary
+        },
+        {
+          type: "text",
+          text: JSON.stringify(data, null, 2)
+        }
+      ],
+      structuredContent: data,
+      _meta: this.cacheMeta(...responses)
+    };
+  }
+
+  // Result for a lookup that found nothing, e.g. no route between two places
+  emptyResult(status, message, ...responses) {
+    return this.toolResult({ status, message }, message, ...responses);
+  }
+
+  // One-line description of a trip from its structured measures
+  describeTrip({ origin, destination, mode, distance_meters, duration_seconds, duration_in_traffic_seconds, traffic_level }, units) {
+    const timing = duration_in_traffic_seconds === null
+      ? `${formatDuration(duration_seconds)}${mode === "transit" ? "" : " (no traffic data)"}`
+      : `${formatDuration(duration_in_traffic_seconds)} in traffic, ${formatDuration(duration_seconds)} without (${traffic_level} traffic)`;
+    return `${origin} → ${destination}: ${timing}, ${formatDistance(distance_meters, units)}.`;
+  }
+
+  // Upstream failures become MCP errors with a code per status (see
+  // UPSTREAM_ERRORS); other errors keep their message under a
+  // "<what> error (<provider>)" prefix
+  upstreamError(error, what = "Routing") {
+    if (error instanceof McpError) {
+      return error;
+    }
+    const context = `${what} error (${this.provider.name})`;
+    const mapped = toMcpError(error, context);
+    return mapped === error ? new Error(`${context}: ${error.message}`) : mapped;
+  }
+
+  // Reports how each upstream lookup behind a tool result was served
+  cacheMeta(...responses) {
+    const lookups = responses.map(response => response.cache).filter(Boolean);
+    return lookups.length > 0 ? { cache: lookups } : undefined;
+  }
+
+  parseCoordinates(location) {
+    return parseCoordinates(location);
+  }
+
+  parseLocation(location) {
+    // Coordinates lose any space after the comma; anything else is an address
+    const coordinates = parseCoordinates(location);
+    return coordinates ? `${coordinates.lat},${coordinates.lng}` : location;
+  }
+
+  // Avoidances and localization as provider request fields, plus transit
+  // preferences. Unset options stay undefined so they don't split cache keys.
+  routeOptions(args) {
+    const { avoid, units, language, region } = args;
+    return {
+      avoid: avoid?.length ? [...new Set(avoid)].sort() : undefined,
+      units: units,
+      language: language,
+      region: region,
+      ...this.transitOptions(args)
+    };
+  }
+
+  // Looks up every traffic model for one departure to build the forecast band.
+  // Only driving has traffic models, so other modes get a single lookup and no band.
+  async forecastLookup(request) {
+    const models = request.mode === "driving" ? TRAFFIC_MODELS : [request.trafficModel];
+    const responses = await Promise.all(
+      models.map(model => this.provider.directions({ ...request, trafficModel: model }))
+    );
+    const legs = Object.fromEntries(models.map((model, index) => [model, responses[index].routes?.[0]?.legs[0]]));
+
+    const hasTraffic = models.length === TRAFFIC_MODELS.length && models.every(model => legs[model]?.duration_in_traffic);
+    return {
+      responses,
+      leg: legs[request.trafficModel],
+      band: hasTraffic
+        ? forecastBand(Object.fromEntries(models.map(model => [model, travelSeconds(legs[model])])))
+        : null
+    };
+  }
+
+  // Travel time to allow for when working back from a deadline
+  plannedSeconds({ leg, band }, riskTolerance) {
+    return band ? budgetSeconds(band, riskTolerance) : travelSeconds(leg);
+  }
+
+  // Transit preferences as provider request fields. They are rejected for
+  // other modes instead of being silently ignored.
+  transitOptions({ mode = "driving", transit_modes, transit_preference }) {
+    if (mode !== "transit") {
+      if (transit_modes || transit_preference) {
+        throw new McpError(ErrorCode.InvalidParams, "transit_modes and transit_preference only apply to mode 'transit'");
+      }
+      return {};
+    }
+    return {
+      transitModes: transit_modes && [...new Set(transit_modes)],
+      transitRoutingPreference: transit_preference
+    };
+  }
+
+  // Where the delay is along the route, plus any provider warnings
+  analyzeTrafficConditions(route, congestion = analyzeCongestion(route.legs[0])) {
+    const warnings = route.warnings || [];
+    const summary = describeCongestion(congestion);
+    if (warnings.length > 0) {
+      return `${summary}. Alerts: ${warnings.map(warning => warning.replace(/\.$/, "")).join("; ")}`;
+    }
+    return summary;
+  }
+
+  calculateTimeDifference(currentSeconds, forecastSeconds) {
+    return forecastSeconds - currentSeconds;
+  }
+
+  // With enough recorded history the recommendation also says how today
+  // compares with a typical trip at this time.
+  generateRecommendation(currentLeg, forecastLeg, hoursAhead, typical = {}) {
+    const currentTime = travelSeconds(currentLeg);
+    const forecastTime = travelSeconds(forecastLeg);
+
+    const differenceMinutes = Math.abs((forecastTime - currentTime) / 60);
+    const typicalNow = this.usableHistory(typical.now);
+    const typicalForecast = this.usableHistory(typical.forecast);
+    const trend = this.forecastTrend(currentTime, forecastTime, typical.forecast);
+
+    let recommendation;
+    if (trend === "similar") {
+      recommendation = `Traffic conditions expected to be similar. Safe to proceed as planned.`;
+    } else if (trend === "worse") {
+      recommendation = `Traffic expected to be ${Math.round(differenceMinutes)} minutes worse in ${hoursAhead} hour(s). Consider leaving earlier or finding an alternative route.`;
+    } else {
+      recommendation = `Traffic expected to be ${Math.round(differenceMinutes)} minutes better in ${hoursAhead} hour(s). Good time to travel!`;
+    }
+
+    if (typicalNow) {
+      const vsTypicalMinutes = Math.round((currentTime - typicalNow.p50) / 60);
+      const slot = this.describeSlot(typicalNow);
+      recommendation += vsTypicalMinutes === 0
+        ? ` Right now is about usual for ${slot} (${formatDuration(typicalNow.p50)}).`
+        : ` Right now is ${Math.abs(vsTypicalMinutes)} minutes ${vsTypicalMinutes > 0 ? "slower" : "faster"} than usual for ${slot} (${formatDuration(typicalNow.p50)}).`;
+    }
+    if (typicalForecast) {
+      recommendation += ` Trips on ${this.describeSlot(typicalForecast)} have taken ${formatDuration(typicalForecast.p10)} to ${formatDuration(typicalForecast.p90)}, typically ${formatDuration(typicalForecast.p50)}.`;
+    }
+
+    return recommendation;
+  }
+
+  // The usual spread at the forecast hour decides what counts as a real
+  // difference; without enough history anything under 5 minutes is noise
+  forecastTrend(currentSeconds, forecastSeconds, typicalForecast) {
+    const slot = this.usableHistory(typicalForecast);
+    const thresholdMinutes = slot ? Math.max(2, (slot.p90 - slot.p10) / 2 / 60) : 5;
+    const differenceMinutes = (forecastSeconds - currentSeconds) / 60;
+
+    if (Math.abs(differenceMinutes) < thresholdMinutes) {
+      return "similar";
+    }
+    return differenceMinutes > 0 ? "worse" : "better";
+  }
+
+  // History slots are only trusted once they have enough recorded trips
+  usableHistory(slot) {
+    return slot?.samples >= MIN_HISTORY_SAMPLES ? slot : null;
+  }
+
+  describeSlot({ weekday, hour }) {
+    return `${WEEKDAYS[weekday]}s at ${String(hour).padStart(2, "0")}:00`;
+  }
+
+  generateRouteRecommendation(rankedRoutes, rankBy) {
+    const [best, runnerUp] = rankedRoutes;
+
+    if (!runnerUp) {
+      return `Only one route available: take ${best.summary}.`;
+    }
+
+    if (rankBy === "shortest") {
+      const savedKm = (runnerUp.distance_meters - best.distance_meters) / 1000;
+      return savedKm >= 0.1
+        ? `Take ${best.summary}, it is ${savedKm.toFixed(1)} km shorter than ${runnerUp.summary}.`
+        : `Take ${best.summary}. ${runnerUp.summary} is about the same distance.`;
+    }
+
+    if (rankBy === "least_delay") {
+      const savedMinutes = Math.round(((runnerUp.traffic_delay_seconds ?? 0) - (best.traffic_delay_seconds ?? 0)) / 60);
+      return savedMinutes >= 1
+        ? `Take ${best.summary}, it has ${savedMinutes} minute(s) less traffic delay than ${runnerUp.summary} right now.`
+        : `Take ${best.summary}. ${runnerUp.summary} has about the same traffic delay right now.`;
+    }
+
+    const savedMinutes = Math.round((runnerUp.travel_seconds - best.travel_seconds) / 60);
+    return savedMinutes >= 1
+      ? `Take ${best.summary} instead of ${runnerUp.summary}, it is ${savedMinutes} minute(s) faster right now.`
+      : `Take ${best.summary}. ${runnerUp.summary} takes about the same time right now.`;
+  }
+
+  async run() {
+    const transport = new StdioServerTransport();
+    await this.server.connect(transport);
+    await this.scheduler.start();
+    this.logger.info("Traffic MCP Server running on stdio");
+  }
+
+  async close() {
+    await this.scheduler.stop();
+    await this.cache?.flush();
+    await this.history?.flush();
+    await this.usage?.flush();
+  }
+
+  async runHTTP(port = 3000, host) {
+    const auth = createAuthFromEnv(this.env);
+    const app = createHttpApp({
+      createServer: () => this.createServer(),
+      auth,
+      corsOrigins: corsOriginsFromEnv(this.env),
+      logger: this.logger,
+      metrics: this.env.TRAFFIC_METRICS === 'off' ? null : this.metrics,
+      metricsToken: this.env.TRAFFIC_METRICS_TOKEN || null
+    });
+    await this.scheduler.start();
+
+    if (!auth) {
+      this.logger.warn('TRAFFIC_AUTH=off, the MCP endpoints accept requests without an API key');
+    } else if (auth.keys.list().length === 0) {
+      this.logger.warn('No API keys configured, every MCP request will be rejected. Create one with: npm run keys -- add <client-id>');
+    }
+
+    await new Promise((resolve, reject) => {
+      const listener = app.listen(port, host, error => (error ? reject(error) : resolve()));
+      listener.once('error', reject);
+    });
+
+    const url = `http://${host || 'localhost'}:${port}`;
+    this.logger.info('Traffic MCP Server running on HTTP', {
+      url,
+      mcp_endpoint: `${url}/mcp`,
+      sse_endpoint: `${url}/sse`,
+      health_check: `${url}/health`
+    });
+  }
+}
+
+async function main() {
+  // Load environment variables from .env file, quietly: in stdio mode stdout
+  // carries the protocol and nothing else may be written to it
+  dotenv.config({ quiet: true });
+
+  let config;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(error.message);
+    console.error('\nRun with --help for the available options.');
+    process.exit(1);
+  }
+  if (config.help) {
+    console.log(USAGE);
+    return;
+  }
+  defaultLogger.setLevel(config.logLevel);
+  const { env, ...settings } = config;
+  defaultLogger.debug('Configuration', settings);
+
+  const server = new TrafficMCPServer({ env });
+
+  // Persist state (e.g. the on-disk cache) before exiting
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      server.close()
+        .catch(error => defaultLogger.error('Failed to save state on shutdown', { error }))
+        .finally(() => process.exit(0));
+    });
+  }
+
+  if (config.transport === 'http') {
+    await server.runHTTP(config.port, config.host);
+  } else {
+    await server.run();
+  }
+}
+
+// Only start when run directly, so the server can be imported as a library.
+// argv[1] may not be a file at all (e.g. under a REPL or some bundlers).
+function isMainModule() {
+  try {
+    return Boolean(process.argv[1]) && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href;
+  } catch {
+    return false;
+  }
+}
 
-if (mode === 'http') {
-  console.log('Starting Traffic MCP Server in HTTP mode...');
-  server.runHTTP(port).catch(console.error);
-} else {
-  console.log('Starting Traffic MCP Server in stdio mode...');
-  server.run().catch(console.error);
+if (isMainModule()) {
+  main().catch(error => {
+    defaultLogger.error('Server failed to start', { error });
+    process.exit(1);
+  });
 }
@@ -0,0 +1,28 @@
+import { readFileSync } from "fs";
+import { mkdir, rename, writeFile } from "fs/promises";
+import { dirname, join, resolve } from "path";
+
+// Local state (saved places, watches, ...) lives in one directory,
+// configurable through TRAFFIC_DATA_DIR.
+export function dataPath(fileName, env = process.env) {
+  return join(resolve(env.TRAFFIC_DATA_DIR || "data"), fileName);
+}
+
+export function readJsonFile(path, fallback) {
+  try {
+    return JSON.parse(readFileSync(path, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return fallback;
+    }
+    throw new Error(`Could not read ${path}: ${error.message}`);
+  }
+}
+
+// Writes to a temp file and renames it so a crash never leaves a half-written file
+export async function writeJsonFile(path, data) {
+  await mkdir(dirname(path), { recursive: true });
+  const tmpPath = `${path}.tmp`;
+  await writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await rename(tmpPath, path);
+}
@@ -0,0 +1,26 @@
+// Parses a time given as "now", an ISO timestamp, or a bare "HH:MM". Bare
+// times use the server's local time zone and resolve to their next occurrence
+// (today, or tomorrow if that time has already passed), or to the calendar day
+// of `sameDayAs` when given, so several bare times can be anchored together.
+export function parseTimeInput(value, now = new Date(), sameDayAs = null) {
+  if (value === "now") {
+    return new Date(now);
+  }
+
+  const clockMatch = value.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (clockMatch) {
+    const date = new Date(sameDayAs || now);
+    date.setHours(Number(clockMatch[1]), Number(clockMatch[2]), 0, 0);
+    if (!sameDayAs && date < now) {
+      date.setDate(date.getDate() + 1);
+    }
+    return date;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * 60 * 1000);
+}
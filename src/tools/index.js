@@ -0,0 +1,645 @@
+import { RISK_TOLERANCES } from "../traffic.js";
+import { ToolRegistry } from "./registry.js";
+import {
+  locationSchema,
+  modeSchema,
+  routeOptionsSchema,
+  trafficModelSchema,
+  transitModesSchema,
+  transitPreferenceSchema
+} from "./schemas.js";
+import {
+  bestDepartureOutput,
+  createWatchOutput,
+  deletePlaceOutput,
+  deleteWatchOutput,
+  forecastTrafficOutput,
+  geocodeOutput,
+  listPlacesOutput,
+  listWatchesOutput,
+  liveTrafficOutput,
+  meetingPointOutput,
+  planTripOutput,
+  reachableAreaOutput,
+  reverseGeocodeOutput,
+  routeAlternativesOutput,
+  savePlaceOutput,
+  searchPlacesOutput,
+  trafficComparisonOutput,
+  trafficHistoryOutput,
+  travelMatrixOutput,
+  usageStatsOutput
+} from "./outputs.js";
+
+export { ToolRegistry } from "./registry.js";
+
+export function createToolRegistry(server) {
+  return new ToolRegistry({ prepareArgs: (args, context) => server.resolveSavedPlaces(args, context) })
+    .register({
+      name: "get_live_traffic",
+      description: "Get live traffic data between two locations, including where along the route the delay is",
+      inputSchema: {
+        type: "object",
+        properties: {
+          origin: locationSchema("Origin"),
+          destination: locationSchema("Destination"),
+          mode: modeSchema,
+          transit_modes: transitModesSchema,
+          transit_preference: transitPreferenceSchema,
+          traffic_model: trafficModelSchema("best_guess"),
+          ...routeOptionsSchema
+        },
+        required: ["origin", "destination"]
+      },
+      outputSchema: liveTrafficOutput,
+      handler: args => server.getLiveTraffic(args)
+    })
+    .register({
+      name: "get_forecast_traffic",
+      description: "Forecast travel time for a departure as a min/likely/max band with a confidence level, or work out when to leave to arrive by a deadline",
+      inputSchema: {
+        type: "object",
+        properties: {
+          origin: locationSchema("Origin"),
+          destination: locationSchema("Destination"),
+          departure_time: {
+            type: "string",
+            pattern: "^(now|\\d{4}-\\d{2}-\\d{2}T.+)$",
+            description: "Departure time in ISO format (e.g., '2024-01-15T09:00:00Z') or 'now' for immediate departure"
+          },
+          arrival_time: {
+            type: "string",
+            pattern: "^\\d{4}-\\d{2}-\\d{2}T.+$",
+            description: "Arrive by this ISO time instead of giving a departure_time. Returns a leave-by time (transit follows the timetable)"
+          },
+          risk_tolerance: {
+            type: "string",
+            enum: RISK_TOLERANCES,
+            default: "low",
+            description: "With arrival_time: 'low' plans for the pessimistic travel time, 'high' for the likely one and 'medium' for halfway between"
+          },
+          mode: modeSchema,
+          transit_modes: transitModesSchema,
+          transit_preference: transitPreferenceSchema,
+          traffic_model: trafficModelSchema("pessimistic", "Traffic model for the headline figures; the band always uses all three"),
+          ...routeOptionsSchema
+        },
+        required: ["origin", "destination"]
+      },
+      outputSchema: forecastTrafficOutput,
+      handler: args => server.getForecastTraffic(args)
+    })
+    .register({
+      name: "get_traffic_comparison",
+      description: "Compare current vs forecast traffic for route planning",
+      inputSchema: {
+        type: "object",
+        properties: {
+          origin: locationSchema("Origin"),
+          destination: locationSchema("Destination"),
+          forecast_hours: {
+            type: "number",
+            description: "Hours from now to check forecast (1-24)",
+            minimum: 1,
+            maximum: 24,
+            default: 1
+          },
+          mode: modeSchema,
+          traffic_model: trafficModelSchema("pessimistic", "Traffic model for the forecast; current traffic always uses best_guess"),
+          ...routeOptionsSchema
+        },
+        required: ["origin", "destination"]
+      },
+      outputSchema: trafficComparisonOutput,
+      handler: args => server.getTrafficComparison(args)
+    })
+    .register({
+      name: "get_route_alternatives",
+      description: "Compare alternative routes between two locations with live traffic and rank them",
+      inputSchema: {
+        type: "object",
+        properties: {
+          origin: locationSchema("Origin"),
+          destination: locationSchema("Destination"),
+          mode: modeSchema,
+          transit_modes: transitModesSchema,
+          transit_preference: transitPreferenceSchema,
+          traffic_model: trafficModelSchema("best_guess"),
+          ...routeOptionsSchema,
+          rank_by: {
+            type: "string",
+            enum: ["fastest", "shortest", "least_delay"],
+            default: "fastest",
+            description: "Ranking criterion: fastest in current traffic, shortest distance, or least traffic delay"
+          }
+        },
+        required: ["origin", "destination"]
+      },
+      outputSchema: routeAlternativesOutput,
+      handler: args => server.getRouteAlternatives(args)
+    })
+    .register({
+      name: "find_best_departure_time",
+      description: "Find the best time to leave within a time window, or the latest departure that still arrives by a deadline",
+      inputSchema: {
+        type: "object",
+        properties: {
+          origin: locationSchema("Origin"),
+          destination: locationSchema("Destination"),
+          window_start: {
+            type: "string",
+            description: "Earliest departure, as an ISO timestamp or 'HH:MM' (server local time)"
+          },
+          window_end: {
+            type: "string",
+            description: "Latest departure, as an ISO timestamp or 'HH:MM' (server local time)"
+          },
+          step_minutes: {
+            type: "number",
+            description: "Minutes between checked departure times (5-120)",
+            minimum: 5,
+            maximum: 120,
+            default: 15
+          },
+          arrive_by: {
+            type: "string",
+            description: "Required arrival time (ISO timestamp or 'HH:MM'). Searches backward for the latest departure that arrives on time; the window defaults to the 3 hours before it"
+          },
+          mode: modeSchema,
+          traffic_model: trafficModelSchema("best_guess"),
+          ...routeOptionsSchema
+        },
+        required: ["origin", "destination"]
+      },
+      outputSchema: bestDepartureOutput,
+      handler: args => server.findBestDepartureTime(args)
+    })
+    .register({
+      name: "plan_trip",
+      description: "Plan a multi-stop trip with traffic-aware legs, ETAs at each stop and total trip time, optionally optimizing the stop order",
+      inputSchema: {
+        type: "object",
+        properties: {
+          stops: {
+            type: "array",
+            minItems: 2,
+            maxItems: 10,
+            description: "Stops in visiting order. The first stop is the start and the last is the final destination",
+            items: {
+              type: "object",
+              properties: {
+                location: locationSchema("Stop"),
+                dwell_minutes: {
+                  type: "number",
+                  minimum: 0,
+                  maximum: 720,
+                  description: "Minutes spent at this stop before continuing (ignored for the first and last stop)"
+                }
+              },
+              required: ["location"]
+            }
+          },
+          optimize_order: {
+            type: "boolean",
+            default: false,
+            description: "Reorder the intermediate stops to minimize travel time (first and last stay fixed)"
+          },
+          departure_time: {
+            type: "string",
+            default: "now",
+            description: "When to leave the first stop: 'now', an ISO timestamp or 'HH:MM' (server local time)"
+          },
+          mode: modeSchema,
+          traffic_model: trafficModelSchema("best_guess"),
+          ...routeOptionsSchema
+        },
+        required: ["stops"]
+      },
+      outputSchema: planTripOutput,
+      handler: args => server.planTrip(args)
+    })
+    .register({
+      name: "get_travel_matrix",
+      description: "Get traffic-aware travel times and distances from several origins to several destinations, sorted and filtered per origin",
+      inputSchema: {
+        type: "object",
+        properties: {
+          origins: {
+            type: "array",
+            minItems: 1,
+            maxItems: 25,
+            items: locationSchema("Origin"),
+            description: "Origin locations (addresses or 'lat,lng')"
+          },
+          destinations: {
+            type: "array",
+            minItems: 1,
+            maxItems: 25,
+            items: locationSchema("Destination"),
+            description: "Destination locations (addresses or 'lat,lng')"
+          },
+          mode: modeSchema,
+          traffic_model: trafficModelSchema("best_guess"),
+          ...routeOptionsSchema,
+          departure_time: {
+            type: "string",
+            default: "now",
+            description: "'now', an ISO timestamp or 'HH:MM' (server local time)"
+          },
+          sort_by: {
+            type: "string",
+            enum: ["duration", "distance"],
+            default: "duration",
+            description: "Order each origin's destinations by travel time (in traffic) or distance"
+          },
+          max_duration_minutes: {
+            type: "number",
+            minimum: 1,
+            description: "Only include destinations reachable within this many minutes"
+          },
+          max_distance_km: {
+            type: "number",
+            minimum: 0,
+            description: "Only include destinations within this distance"
+          },
+          limit: {
+            type: "integer",
+            minimum: 1,
+            description: "Only return the N closest destinations for each origin"
+          }
+        },
+        required: ["origins", "destinations"]
+      },
+      outputSchema: travelMatrixOutput,
+      handler: args => server.getTravelMatrix(args)
+    })
+    .register({
+      name: "get_reachable_area",
+      description: "Map where you can get to from a location within a time budget (an isochrone), under current or forecast traffic, as a GeoJSON polygon. Optionally checks which of a list of sites are within reach.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          origin: locationSchema("Starting"),
+          max_minutes: {
+            type: "number",
+            minimum: 1,
+            maximum: 180,
+            description: "Time budget in minutes"
+          },
+          mode: modeSchema,
+          traffic_model: trafficModelSchema("best_guess"),
+          ...routeOptionsSchema,
+          departure_time: {
+            type: "string",
+            default: "now",
+            description: "'now', an ISO timestamp or 'HH:MM' (server local time); future times use forecast traffic"
+          },
+          resolution: {
+            type: "integer",
+            minimum: 3,
+            maximum: 21,
+            default: 11,
+            description: "Sampling grid points per side (odd; even values are rounded up). Finer grids give smoother areas but cost more lookups."
+          },
+          max_samples: {
+            type: "integer",
+            minimum: 10,
+            maximum: 400,
+            default: 100,
+            description: "Cap on travel-time lookups (grid points plus sites); the grid is made coarser to fit"
+          },
+          sites: {
+            type: "array",
+            maxItems: 25,
+            items: locationSchema("Site"),
+            description: "Places to check, e.g. client sites; each gets its travel time and whether it is within reach"
+          }
+        },
+        required: ["origin", "max_minutes"]
+      },
+      outputSchema: reachableAreaOutput,
+      handler: args => server.getReachableArea(args)
+    })
+    .register({
+      name: "find_meeting_point",
+      description: "Find a fair place for several people to meet: ranks candidate venues (or places of a category found between them) by the longest or total traffic-aware travel time, with each person's ETA",
+      inputSchema: {
+        type: "object",
+        properties: {
+          travelers: {
+            type: "array",
+            minItems: 2,
+            maxItems: 10,
+            description: "Who is meeting and where each of them starts, each with their own travel mode",
+            items: {
+              type: "object",
+              properties: {
+                name: { type: "string", minLength: 1, description: "Who this is, for the ETAs (default 'Traveler N')" },
+                origin: locationSchema("Starting"),
+                mode: modeSchema
+              },
+              required: ["origin"]
+            }
+          },
+          venues: {
+            type: "array",
+            minItems: 1,
+            maxItems: 25,
+            items: locationSchema("Candidate"),
+            description: "Candidate meeting places. Pass these or a category."
+          },
+          category: {
+            type: "string",
+            minLength: 1,
+            description: "Kind of place to search for between the travelers instead of listing venues (e.g. 'coffee', 'pizza')"
+          },
+          near: {
+            type: "string",
+            description: "Search for the category around this location instead of the travelers' midpoint"
+          },
+          radius_meters: {
+            type: "number",
+            minimum: 100,
+            maximum: 50000,
+            description: "Category search radius (default: wide enough to reach every traveler, at least 2000)"
+          },
+          candidate_limit: {
+            type: "integer",
+            minimum: 1,
+            maximum: 20,
+            default: 10,
+            description: "How many category results to compare"
+          },
+          rank_by: {
+            type: "string",
+            enum: ["max", "total"],
+            default: "max",
+            description: "'max' keeps the longest trip as short as possible (fairest); 'total' minimizes everyone's travel time added up"
+          },
+          departure_time: {
+            type: "string",
+            default: "now",
+            description: "'now', an ISO timestamp or 'HH:MM' (server local time) when everyone sets off"
+          },
+          limit: {
+            type: "integer",
+            minimum: 1,
+            maximum: 25,
+            default: 5,
+            description: "How many ranked meeting points to return"
+          },
+          traffic_model: trafficModelSchema("best_guess"),
+          ...routeOptionsSchema
+        },
+        required: ["travelers"]
+      },
+      outputSchema: meetingPointOutput,
+      handler: args => server.findMeetingPoint(args)
+    })
+    .register({
+      name: "search_places",
+      description: "Search for places by name or category (e.g. 'Apple Store, Bengaluru' or 'coffee'), optionally near a location",
+      inputSchema: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            minLength: 1,
+            description: "What to search for"
+          },
+          near: {
+            type: "string",
+            description: "Bias results around this location (address or 'lat,lng')"
+          },
+          radius_meters: {
+            type: "number",
+            minimum: 1,
+            maximum: 50000,
+            default: 5000,
+            description: "Search radius around 'near'"
+          },
+          limit: {
+            type: "integer",
+            minimum: 1,
+            maximum: 20,
+            default: 5,
+            description: "Maximum number of places to return"
+          }
+        },
+        required: ["query"]
+      },
+      outputSchema: searchPlacesOutput,
+      handler: args => server.searchPlaces(args)
+    })
+    .register({
+      name: "geocode",
+      description: "Resolve an address to coordinates and a place ID, listing every candidate when it is ambiguous",
+      inputSchema: {
+        type: "object",
+        properties: {
+          address: {
+            type: "string",
+            minLength: 1,
+            description: "Address or place name to look up"
+          },
+          region: {
+            type: "string",
+            pattern: "^[a-zA-Z]{2}$",
+            description: "Two-letter country code to bias results towards (e.g. 'us', 'in')"
+          }
+        },
+        required: ["address"]
+      },
+      outputSchema: geocodeOutput,
+      handler: args => server.geocode(args)
+    })
+    .register({
+      name: "reverse_geocode",
+      description: "Find the address of a 'lat,lng' coordinate",
+      inputSchema: {
+        type: "object",
+        properties: {
+          location: {
+            type: "string",
+            pattern: "^-?\\d+\\.?\\d*,\\s*-?\\d+\\.?\\d*$",
+            description: "Coordinates as 'lat,lng'"
+          }
+        },
+        required: ["location"]
+      },
+      outputSchema: reverseGeocodeOutput,
+      handler: args => server.reverseGeocode(args)
+    })
+    .register({
+      name: "save_place",
+      description: "Save a named location (e.g. 'home' or 'work') that can then be used as '@home' in any origin or destination",
+      inputSchema: {
+        type: "object",
+        properties: {
+          alias: {
+            type: "string",
+            pattern: "^@?[A-Za-z0-9_-]{1,32}$",
+            description: "Name for the place, e.g. 'home' (use it later as '@home')"
+          },
+          location: locationSchema("Place"),
+          label: {
+            type: "string",
+            description: "Optional description, e.g. 'Mom's house'"
+          },
+          overwrite: {
+            type: "boolean",
+            default: true,
+            description: "Replace an existing place with the same alias"
+          }
+        },
+        required: ["alias", "location"]
+      },
+      outputSchema: savePlaceOutput,
+      handler: (args, context) => server.savePlace(args, context)
+    })
+    .register({
+      name: "list_places",
+      description: "List your saved places",
+      inputSchema: {
+        type: "object",
+        properties: {}
+      },
+      outputSchema: listPlacesOutput,
+      handler: (args, context) => server.listPlaces(args, context)
+    })
+    .register({
+      name: "delete_place",
+      description: "Delete a saved place",
+      inputSchema: {
+        type: "object",
+        properties: {
+          alias: {
+            type: "string",
+            pattern: "^@?[A-Za-z0-9_-]{1,32}$",
+            description: "Alias of the place to delete, e.g. 'home' or '@home'"
+          }
+        },
+        required: ["alias"]
+      },
+      outputSchema: deletePlaceOutput,
+      handler: (args, context) => server.deletePlace(args, context)
+    })
+    .register({
+      name: "create_watch",
+      description: "Watch a route on a schedule and get alerted when travel time in traffic crosses a threshold or rises above its usual duration",
+      inputSchema: {
+        type: "object",
+        properties: {
+          origin: locationSchema("Origin"),
+          destination: locationSchema("Destination"),
+          schedule: {
+            type: "string",
+            minLength: 1,
+            description: "When to check, as a cron expression in server local time: 'minute hour day-of-month month day-of-week' (e.g. '*/10 7-9 * * mon-fri' for every 10 minutes on weekday mornings)"
+          },
+          threshold_minutes: {
+            type: "number",
+            minimum: 1,
+            description: "Alert when the trip takes at least this many minutes in traffic"
+          },
+          increase_percent: {
+            type: "number",
+            minimum: 1,
+            description: "Alert when the trip takes this much longer than the baseline, in percent"
+          },
+          baseline_minutes: {
+            type: "number",
+            minimum: 1,
+            description: "Usual trip time for increase_percent. Defaults to the route's duration without traffic"
+          },
+          label: {
+            type: "string",
+            description: "Name for the watch, e.g. 'Morning commute'"
+          },
+          mode: modeSchema,
+          traffic_model: trafficModelSchema("best_guess"),
+          ...routeOptionsSchema
+        },
+        required: ["origin", "destination", "schedule"]
+      },
+      outputSchema: createWatchOutput,
+      handler: (args, context) => server.createWatch(args, context)
+    })
+    .register({
+      name: "list_watches",
+      description: "List your commute watches with their last check and alert",
+      inputSchema: {
+        type: "object",
+        properties: {}
+      },
+      outputSchema: listWatchesOutput,
+      handler: (args, context) => server.listWatches(args, context)
+    })
+    .register({
+      name: "delete_watch",
+      description: "Delete a commute watch",
+      inputSchema: {
+        type: "object",
+        properties: {
+          id: {
+            type: "string",
+            minLength: 1,
+            description: "Watch ID from create_watch or list_watches"
+          }
+        },
+        required: ["id"]
+      },
+      outputSchema: deleteWatchOutput,
+      handler: (args, context) => server.deleteWatch(args, context)
+    })
+    .register({
+      name: "get_traffic_history",
+      description: "Show recorded travel times for a route by weekday and hour, and how today compares with a typical trip at this time",
+      inputSchema: {
+        type: "object",
+        properties: {
+          origin: locationSchema("Origin"),
+          destination: locationSchema("Destination"),
+          mode: modeSchema,
+          weekday: {
+            type: "string",
+            enum: ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"],
+            description: "Only show this weekday"
+          },
+          hour: {
+            type: "integer",
+            minimum: 0,
+            maximum: 23,
+            description: "Only show departures in this hour (server local time)"
+          },
+          compare_now: {
+            type: "boolean",
+            default: true,
+            description: "Look up live traffic now and compare it with the typical time for this weekday and hour"
+          },
+          region: routeOptionsSchema.region
+        },
+        required: ["origin", "destination"]
+      },
+      outputSchema: trafficHistoryOutput,
+      handler: args => server.getTrafficHistory(args)
+    })
+    .register({
+      name: "get_usage_stats",
+      description: "Report upstream routing API calls and estimated spend by day and tool, and how close the server is to its budget caps",
+      inputSchema: {
+        type: "object",
+        properties: {
+          days: {
+            type: "integer",
+            minimum: 1,
+            maximum: 90,
+            default: 7,
+            description: "Number of days (UTC, including today) to break down"
+          }
+        }
+      },
+      outputSchema: usageStatsOutput,
+      handler: (args, context) => server.getUsageStats(args, context)
+    });
+}
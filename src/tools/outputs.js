@@ -0,0 +1,535 @@
+import { RISK_TOLERANCES, TRAFFIC_LEVELS } from "../traffic.js";
+import { TRAVEL_MODES } from "./schemas.js";
+
+// Output schemas for structuredContent. Durations are in seconds, distances in
+// meters and times are ISO 8601 timestamps, so automations can compare values
+// without parsing the human-readable text.
+
+export const RESULT_STATUSES = ["ok", "ambiguous_location", "no_route", "no_results", "not_found"];
+
+const string = { type: "string" };
+const nullableString = { type: ["string", "null"] };
+const number = { type: "number" };
+const nullableNumber = { type: ["number", "null"] };
+const integer = { type: "integer" };
+const boolean = { type: "boolean" };
+const timestamp = { type: "string", description: "ISO 8601 timestamp" };
+const nullableTimestamp = { type: ["string", "null"], description: "ISO 8601 timestamp" };
+const mode = { type: "string", enum: TRAVEL_MODES };
+
+function arrayOf(items) {
+  return { type: "array", items };
+}
+
+function object(properties, required = []) {
+  return { type: "object", properties, required };
+}
+
+const metrics = {
+  distance_meters: number,
+  duration_seconds: { type: "number", description: "Travel time without traffic" },
+  duration_in_traffic_seconds: {
+    type: ["number", "null"],
+    description: "Travel time in traffic; null when the provider has no traffic data"
+  },
+  traffic_delay_seconds: { type: ["number", "null"], description: "Extra time caused by traffic" },
+  delay_ratio: { type: ["number", "null"], description: "Travel time in traffic divided by travel time without" },
+  traffic_level: { type: "string", enum: TRAFFIC_LEVELS }
+};
+const metricsRequired = ["distance_meters", "duration_seconds", "traffic_level"];
+
+const travelSeconds = {
+  type: "number",
+  description: "Best estimate of the travel time: in traffic when available, otherwise without"
+};
+
+// A stretch of road where traffic adds noticeable delay
+const bottleneck = object({
+  step_index: integer,
+  road: string,
+  near: { type: ["string", "null"], description: "Nearby exit or landmark" },
+  delay_seconds: number,
+  delay_ratio: number,
+  traffic_level: { type: "string", enum: TRAFFIC_LEVELS }
+}, ["step_index", "road", "delay_seconds", "delay_ratio", "traffic_level"]);
+
+// Ride-by-ride plan for mode "transit"
+const itinerary = {
+  type: ["object", "null"],
+  description: "Transit itinerary with rides, transfers and wait times; null for other modes",
+  properties: {
+    departure_time: nullableTimestamp,
+    arrival_time: nullableTimestamp,
+    rides: integer,
+    transfers: integer,
+    walking_seconds: number,
+    walking_meters: number,
+    waiting_seconds: number,
+    segments: arrayOf(object({
+      type: { type: "string", enum: ["walk", "ride"] },
+      instruction: string,
+      vehicle_type: { type: "string", description: "Lowercase vehicle type, e.g. 'bus', 'subway' or 'heavy_rail'" },
+      line: string,
+      short_name: nullableString,
+      agency: nullableString,
+      headsign: nullableString,
+      from_stop: string,
+      to_stop: string,
+      departure_time: timestamp,
+      arrival_time: timestamp,
+      time_zone: nullableString,
+      num_stops: integer,
+      wait_seconds: { type: ["number", "null"], description: "Time at the stop before this ride departs" },
+      duration_seconds: number,
+      distance_meters: number
+    }, ["type", "duration_seconds", "distance_meters"]))
+  },
+  required: ["rides", "transfers", "walking_seconds", "waiting_seconds", "segments"]
+};
+
+const coordinates = object({ lat: number, lng: number }, ["lat", "lng"]);
+
+const place = object({
+  name: nullableString,
+  address: string,
+  location: coordinates,
+  place_id: string,
+  location_ref: { type: "string", description: "Pass back as an origin or destination to route to exactly this place" },
+  types: arrayOf(string),
+  rating: number
+}, ["address", "location", "place_id", "location_ref"]);
+
+const ambiguousLocations = arrayOf(object({
+  field: string,
+  query: string,
+  candidates: arrayOf(place)
+}, ["field", "query", "candidates"]));
+
+// Every tool result has a status; anything other than "ok" comes with a
+// message, and "ambiguous_location" lists the candidates in `locations`
+function toolOutput(properties) {
+  return {
+    type: "object",
+    properties: {
+      status: { type: "string", enum: RESULT_STATUSES },
+      message: string,
+      locations: ambiguousLocations,
+      ...properties
+    },
+    required: ["status"]
+  };
+}
+
+export const liveTrafficOutput = toolOutput({
+  origin: string,
+  destination: string,
+  mode: mode,
+  departure_time: timestamp,
+  ...metrics,
+  traffic_summary: string,
+  bottlenecks: {
+    ...arrayOf(bottleneck),
+    description: "Worst slowdowns first, estimated from the route's total delay and how slow each step typically is"
+  },
+  itinerary: itinerary,
+  steps: arrayOf(object({
+    instruction: string,
+    road: nullableString,
+    distance_meters: number,
+    duration_seconds: number,
+    delay_seconds: {
+      type: ["number", "null"],
+      description: "Estimated share of the route's traffic delay; null without traffic data"
+    },
+    delay_ratio: nullableNumber,
+    traffic_level: { type: "string", enum: TRAFFIC_LEVELS }
+  }, ["instruction", "distance_meters", "duration_seconds"]))
+});
+
+export const forecastTrafficOutput = toolOutput({
+  origin: string,
+  destination: string,
+  mode: mode,
+  departure_time: timestamp,
+  arrival_time: timestamp,
+  traffic_model: string,
+  ...metrics,
+  band: {
+    type: ["object", "null"],
+    description: "Travel time across the optimistic, best_guess and pessimistic traffic models; null without traffic data",
+    properties: {
+      min_seconds: number,
+      likely_seconds: number,
+      max_seconds: number,
+      spread_percent: { type: "number", description: "Max minus min as a percentage of the likely time" },
+      confidence: { type: "string", enum: ["high", "medium", "low"], description: "High under 15% spread, medium under 35%" }
+    },
+    required: ["min_seconds", "likely_seconds", "max_seconds", "confidence"]
+  },
+  leave_by: {
+    type: ["object", "null"],
+    description: "When to leave to arrive by arrival_time (not for transit)",
+    properties: {
+      arrive_by: timestamp,
+      risk_tolerance: { type: "string", enum: RISK_TOLERANCES },
+      planned_seconds: { type: "number", description: "Travel time allowed for at this risk tolerance" },
+      leave_by: timestamp,
+      feasible: { type: "boolean", description: "False when the leave-by time has already passed" }
+    },
+    required: ["arrive_by", "risk_tolerance", "planned_seconds", "leave_by", "feasible"]
+  },
+  itinerary: itinerary
+});
+
+const snapshot = object({ departure_time: timestamp, ...metrics }, ["departure_time", ...metricsRequired]);
+
+export const trafficComparisonOutput = toolOutput({
+  origin: string,
+  destination: string,
+  mode: mode,
+  current: snapshot,
+  forecast: object({ hours_ahead: number, traffic_model: string, ...snapshot.properties }, ["hours_ahead", ...snapshot.required]),
+  difference_seconds: { type: "number", description: "Forecast minus current travel time; positive means the forecast is slower" },
+  trend: { type: "string", enum: ["better", "similar", "worse"], description: "How the forecast compares with leaving now" },
+  typical_now: {
+    type: ["object", "null"],
+    description: "Recorded trips at this weekday and hour, when traffic history has enough of them",
+    properties: { samples: integer, median_seconds: number, difference_seconds: number }
+  },
+  recommendation: string
+});
+
+export const routeAlternativesOutput = toolOutput({
+  origin: string,
+  destination: string,
+  ranked_by: { type: "string", enum: ["fastest", "shortest", "least_delay"] },
+  recommendation: string,
+  routes: arrayOf(object({
+    rank: integer,
+    summary: string,
+    ...metrics,
+    travel_seconds: travelSeconds,
+    main_bottleneck: { ...bottleneck, type: ["object", "null"] },
+    warnings: arrayOf(string),
+    has_tolls: boolean,
+    has_highways: boolean,
+    has_ferries: boolean,
+    itinerary: itinerary
+  }, ["rank", "summary", "travel_seconds", ...metricsRequired]))
+});
+
+const departureSlot = object({
+  departure_time: timestamp,
+  arrival_time: timestamp,
+  travel_seconds: travelSeconds,
+  arrives_on_time: boolean
+}, ["departure_time", "arrival_time", "travel_seconds"]);
+
+export const bestDepartureOutput = toolOutput({
+  origin: string,
+  destination: string,
+  search: object({
+    type: { type: "string", enum: ["arrive_by", "depart_between"] },
+    window_start: timestamp,
+    window_end: timestamp,
+    arrive_by: timestamp,
+    step_minutes: number,
+    samples: integer
+  }, ["type", "window_start", "window_end", "step_minutes", "samples"]),
+  best_departure: { ...departureSlot, type: ["object", "null"] },
+  fastest_departure: departureSlot,
+  slowest_departure: departureSlot,
+  recommendation: string,
+  curve: arrayOf(departureSlot)
+});
+
+export const planTripOutput = toolOutput({
+  departure_time: timestamp,
+  order_optimized: boolean,
+  stop_order: arrayOf(integer),
+  stops: arrayOf(object({
+    stop_index: integer,
+    location: string,
+    address: nullableString,
+    arrival_time: nullableTimestamp,
+    dwell_minutes: number,
+    departure_time: nullableTimestamp
+  }, ["stop_index", "location"])),
+  legs: arrayOf(object({
+    from: string,
+    to: string,
+    departure_time: timestamp,
+    arrival_time: timestamp,
+    ...metrics,
+    travel_seconds: travelSeconds
+  }, ["from", "to", "departure_time", "arrival_time", "travel_seconds", ...metricsRequired])),
+  totals: object({
+    distance_meters: number,
+    travel_seconds: number,
+    dwell_seconds: number,
+    total_seconds: number,
+    arrival_time: timestamp
+  }, ["distance_meters", "travel_seconds", "dwell_seconds", "total_seconds", "arrival_time"])
+});
+
+const matrixEntry = object({
+  destination: string,
+  destination_index: integer,
+  ...metrics,
+  travel_seconds: travelSeconds
+}, ["destination", "destination_index", "travel_seconds", ...metricsRequired]);
+
+export const travelMatrixOutput = toolOutput({
+  departure_time: timestamp,
+  mode: mode,
+  sorted_by: { type: "string", enum: ["duration", "distance"] },
+  filters: object({ max_duration_minutes: number, max_distance_km: number, limit: integer }),
+  results: arrayOf(object({
+    origin: string,
+    origin_index: integer,
+    closest: { ...matrixEntry, type: ["object", "null"] },
+    unreachable: integer,
+    destinations: arrayOf(matrixEntry)
+  }, ["origin", "origin_index", "closest", "destinations"]))
+});
+
+// GeoJSON ([lng, lat] positions), so it can be drawn on any map as is
+const polygon = object({
+  type: { type: "string", enum: ["Polygon"] },
+  coordinates: arrayOf(arrayOf(arrayOf(number)))
+}, ["type", "coordinates"]);
+
+export const reachableAreaOutput = toolOutput({
+  origin: string,
+  origin_location: coordinates,
+  mode: mode,
+  departure_time: timestamp,
+  max_minutes: number,
+  area: object({
+    type: { type: "string", enum: ["Feature"] },
+    geometry: polygon,
+    properties: object({ origin: string, mode: mode, max_minutes: number, departure_time: timestamp })
+  }, ["type", "geometry", "properties"]),
+  area_km2: number,
+  farthest: object({
+    location: coordinates,
+    straight_line_meters: number,
+    travel_seconds: travelSeconds
+  }, ["location", "straight_line_meters", "travel_seconds"]),
+  sampling: object({
+    resolution: { type: "integer", description: "Grid points per side" },
+    radius_km: { type: "number", description: "How far out the grid reaches" },
+    samples: integer,
+    reachable: integer,
+    unreachable: { type: "integer", description: "Samples with no route at all, e.g. in water" },
+    reduced_resolution: { type: "boolean", description: "The grid was made coarser to stay within max_samples" },
+    reaches_edge: {
+      type: "boolean",
+      description: "Points at the edge of the grid are reachable, so the real area may extend further"
+    }
+  }, ["resolution", "radius_km", "samples", "reachable", "reduced_resolution", "reaches_edge"]),
+  sites: arrayOf(object({
+    site: string,
+    address: string,
+    reachable: boolean,
+    travel_seconds: { ...travelSeconds, type: ["number", "null"] },
+    distance_meters: nullableNumber
+  }, ["site", "reachable", "travel_seconds"]))
+});
+
+const venue = {
+  venue: { type: "string", description: "The candidate as passed in, or its location_ref when found by category" },
+  name: nullableString,
+  address: string
+};
+
+export const meetingPointOutput = toolOutput({
+  ranked_by: { type: "string", enum: ["max", "total"] },
+  departure_time: timestamp,
+  travelers: arrayOf(object({ name: string, origin: string, mode: mode }, ["name", "origin", "mode"])),
+  search: object({ category: string, location: coordinates, radius_meters: number }),
+  meeting_points: arrayOf(object({
+    rank: integer,
+    ...venue,
+    max_travel_seconds: { type: "number", description: "Travel time of whoever takes longest to get there" },
+    total_travel_seconds: { type: "number", description: "Everyone's travel times added up" },
+    spread_seconds: { type: "number", description: "Difference between the longest and shortest trip" },
+    etas: arrayOf(object({
+      traveler: string,
+      mode: mode,
+      travel_seconds: travelSeconds,
+      distance_meters: number,
+      arrival_time: timestamp
+    }, ["traveler", "mode", "travel_seconds", "arrival_time"]))
+  }, ["rank", "venue", "address", "max_travel_seconds", "total_travel_seconds", "etas"])),
+  excluded: arrayOf(object({
+    ...venue,
+    unreachable_for: { type: "array", items: string, description: "Travelers with no route there" }
+  }, ["venue", "unreachable_for"]))
+});
+
+export const searchPlacesOutput = toolOutput({
+  query: string,
+  near: object({ query: string, location: coordinates }),
+  count: integer,
+  places: arrayOf(place)
+});
+
+export const geocodeOutput = toolOutput({
+  query: string,
+  ambiguous: boolean,
+  results: arrayOf(place)
+});
+
+export const reverseGeocodeOutput = toolOutput({
+  location: coordinates,
+  address: nullableString,
+  results: arrayOf(place)
+});
+
+const savedPlace = object({
+  alias: string,
+  label: nullableString,
+  input: string,
+  location: { type: "string", description: "What '@alias' expands to" },
+  address: nullableString,
+  saved_at: timestamp
+}, ["alias", "location", "saved_at"]);
+
+export const savePlaceOutput = toolOutput({
+  saved: savedPlace,
+  replaced: boolean
+});
+
+export const listPlacesOutput = toolOutput({
+  count: integer,
+  places: arrayOf(savedPlace)
+});
+
+export const deletePlaceOutput = toolOutput({
+  alias: string,
+  deleted: boolean
+});
+
+const watchCheck = object({
+  at: timestamp,
+  travel_seconds: travelSeconds,
+  baseline_seconds: number,
+  increase_percent: number,
+  triggered: boolean,
+  reasons: arrayOf(string)
+}, ["at", "travel_seconds", "baseline_seconds", "triggered"]);
+
+const watch = object({
+  id: string,
+  label: nullableString,
+  origin: string,
+  destination: string,
+  mode: mode,
+  route_options: { type: "object", description: "Avoidances, units, language, region and traffic model used for every check" },
+  schedule: string,
+  threshold_minutes: nullableNumber,
+  increase_percent: nullableNumber,
+  baseline_minutes: nullableNumber,
+  next_run: timestamp,
+  created_at: timestamp,
+  last_check: watchCheck,
+  last_error: { type: ["object", "null"], properties: { at: timestamp, message: string } },
+  last_alert: object({ at: timestamp, message: string, delivered: arrayOf(string) })
+}, ["id", "origin", "destination", "schedule", "next_run"]);
+
+export const createWatchOutput = toolOutput({
+  watch: watch,
+  upcoming_runs: arrayOf(timestamp),
+  current: watchCheck,
+  delivery: arrayOf(string),
+  note: string
+});
+
+export const listWatchesOutput = toolOutput({
+  count: integer,
+  watches: arrayOf(watch)
+});
+
+export const deleteWatchOutput = toolOutput({
+  id: string,
+  deleted: boolean
+});
+
+export const trafficHistoryOutput = toolOutput({
+  origin: string,
+  destination: string,
+  mode: mode,
+  observations: integer,
+  first_observed: nullableTimestamp,
+  last_observed: nullableTimestamp,
+  typical: arrayOf(object({
+    weekday: string,
+    hour: integer,
+    samples: integer,
+    p10_seconds: number,
+    median_seconds: number,
+    p90_seconds: number
+  }, ["weekday", "hour", "samples", "median_seconds"])),
+  today: {
+    type: ["object", "null"],
+    properties: {
+      at: timestamp,
+      travel_seconds: travelSeconds,
+      typical_seconds: number,
+      difference_seconds: number,
+      percentile: { type: ["number", "null"], description: "Share of recorded trips in the same slot that were faster" },
+      summary: string
+    },
+    required: ["at", "travel_seconds", "summary"]
+  },
+  note: string
+});
+
+const usage = {
+  calls: { type: "integer", description: "Upstream provider calls; cache hits are free" },
+  cost_usd: { type: "number", description: "Estimated cost at list prices" }
+};
+const usageRequired = ["calls", "cost_usd"];
+
+const budget = {
+  type: ["object", "null"],
+  description: "Spending cap; null when none is configured",
+  properties: {
+    limit_usd: number,
+    spent_usd: number,
+    remaining_usd: number,
+    used_percent: number
+  },
+  required: ["limit_usd", "spent_usd", "remaining_usd", "used_percent"]
+};
+
+export const usageStatsOutput = toolOutput({
+  provider: string,
+  mode: {
+    type: "string",
+    enum: ["normal", "cached_only"],
+    description: "cached_only once a budget cap is reached: only cached (possibly expired) results are returned"
+  },
+  since: { type: "string", description: "First UTC day of the reporting period (YYYY-MM-DD)" },
+  today: object(usage, usageRequired),
+  this_month: object(usage, usageRequired),
+  period: object(usage, usageRequired),
+  client: object({ client_id: string, ...usage }, ["client_id", ...usageRequired]),
+  days: arrayOf(object({ date: string, ...usage }, ["date", ...usageRequired])),
+  tools: arrayOf(object({ tool: string, ...usage }, ["tool", ...usageRequired])),
+  budget: object({
+    daily: budget,
+    monthly: budget,
+    exceeded: {
+      type: ["object", "null"],
+      properties: {
+        period: { type: "string", enum: ["daily", "monthly"] },
+        limit_usd: number,
+        spent_usd: number,
+        resets_at: timestamp
+      },
+      required: ["period", "limit_usd", "spent_usd", "resets_at"]
+    }
+  }, ["daily", "monthly", "exceeded"])
+});
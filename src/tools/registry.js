@@ -0,0 +1,81 @@
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { toMcpError } from "../errors.js";
+import { validate } from "./validate.js";
+
+// Holds every tool the server exposes. Both the stdio server and the HTTP
+// transport list and dispatch through the same registry, so schemas,
+// descriptions and argument validation can't drift between them.
+//
+// Tools with an `outputSchema` must return matching `structuredContent`; it is
+// checked here so a handler change can't silently break clients that rely on it.
+//
+// `prepareArgs(args, context)` runs after validation and before the handler,
+// e.g. to expand saved-place aliases. `context` carries per-request details
+// such as the calling user.
+export class ToolRegistry {
+  constructor({ prepareArgs } = {}) {
+    this.tools = new Map();
+    this.prepareArgs = prepareArgs;
+  }
+
+  register(tool) {
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool already registered: ${tool.name}`);
+    }
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  list() {
+    return [...this.tools.values()].map(({ name, description, inputSchema, outputSchema }) => ({
+      name,
+      description,
+      inputSchema,
+      ...(outputSchema && { outputSchema })
+    }));
+  }
+
+  async call(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+
+    const errors = validate(tool.inputSchema, args);
+    if (errors.length > 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid arguments for ${name}: ${errors.join("; ")}`
+      );
+    }
+
+    const preparedArgs = this.prepareArgs ? await this.prepareArgs(args, context) : args;
+
+    let result;
+    try {
+      result = await tool.handler(preparedArgs, context);
+    } catch (error) {
+      // Typed failures (upstream statuses, budget caps) keep their own codes
+      const mapped = toMcpError(error);
+      if (mapped instanceof McpError) {
+        throw mapped;
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Tool execution failed: ${error.message}`
+      );
+    }
+
+    if (tool.outputSchema) {
+      const outputErrors = validate(tool.outputSchema, result.structuredContent, "structuredContent");
+      if (outputErrors.length > 0) {
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Tool ${name} returned invalid output: ${outputErrors.join("; ")}`
+        );
+      }
+    }
+
+    return result;
+  }
+}
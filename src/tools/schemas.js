@@ -0,0 +1,70 @@
+import { TRAFFIC_MODELS } from "../traffic.js";
+import { TRANSIT_MODES, TRANSIT_PREFERENCES } from "../transit.js";
+
+// Schema fragments shared by several tools
+
+export const TRAVEL_MODES = ["driving", "walking", "bicycling", "transit"];
+
+export function locationSchema(role) {
+  return {
+    type: "string",
+    minLength: 1,
+    description: `${role} location (address, 'lat,lng', 'place_id:<id>' or a saved place like '@home')`
+  };
+}
+
+export const modeSchema = {
+  type: "string",
+  enum: TRAVEL_MODES,
+  default: "driving",
+  description: "Travel mode"
+};
+
+export const transitModesSchema = {
+  type: "array",
+  items: { type: "string", enum: TRANSIT_MODES },
+  minItems: 1,
+  description: "Preferred transit vehicles for mode 'transit' ('rail' covers train, subway and tram)"
+};
+
+export const transitPreferenceSchema = {
+  type: "string",
+  enum: TRANSIT_PREFERENCES,
+  description: "For mode 'transit': prefer routes with less walking or fewer transfers"
+};
+
+export const AVOID_FEATURES = ["tolls", "highways", "ferries"];
+
+// Route restrictions and localization accepted by every routing tool
+export const routeOptionsSchema = {
+  avoid: {
+    type: "array",
+    items: { type: "string", enum: AVOID_FEATURES },
+    description: "Road features to avoid"
+  },
+  units: {
+    type: "string",
+    enum: ["metric", "imperial"],
+    default: "metric",
+    description: "Units for distances in text; structured output is always in meters"
+  },
+  language: {
+    type: "string",
+    pattern: "^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$",
+    description: "Language for addresses and directions (e.g. 'en', 'de', 'pt-BR')"
+  },
+  region: {
+    type: "string",
+    pattern: "^[a-zA-Z]{2}$",
+    description: "Two-letter country code to bias location lookups towards (e.g. 'us', 'in')"
+  }
+};
+
+export function trafficModelSchema(defaultModel, description = "How to estimate traffic: typical, optimistic or pessimistic conditions") {
+  return {
+    type: "string",
+    enum: TRAFFIC_MODELS,
+    default: defaultModel,
+    description: description
+  };
+}
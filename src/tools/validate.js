@@ -0,0 +1,97 @@
+// Minimal JSON Schema validation covering the keywords our tool schemas use
+// (input and output). Returns a list of human-readable problems; an empty list
+// means the value is valid.
+
+export function validate(schema, value, path = "arguments") {
+  const errors = [];
+  const types = [].concat(schema.type || []);
+
+  if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+    errors.push(`${path} must be of type ${types.join(" or ")}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} character(s) long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must contain at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (types.includes("object") && matchesType("object", value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties?.[key]) {
+          errors.push(`${path}.${key} is not a recognized property`);
+        }
+      }
+    }
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validate(option, value, path).length === 0);
+    if (matches.length !== 1) {
+      errors.push(`${path} must match exactly one of the allowed forms`);
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "null":
+      return value === null;
+    default:
+      return true;
+  }
+}
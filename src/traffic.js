@@ -0,0 +1,194 @@
+import { formatDuration } from "./format.js";
+
+// Congestion levels reported in structured tool output, from the delay ratio:
+// how much longer a trip (or step) takes in traffic than at free flow
+export const TRAFFIC_LEVELS = ["free", "moderate", "heavy", "standstill", "unknown"];
+
+export const TRAFFIC_MODELS = ["best_guess", "optimistic", "pessimistic"];
+
+// How much of the forecast band to plan for when leaving by a deadline: low
+// tolerance plans for the pessimistic time, high for the likely one
+export const RISK_TOLERANCES = ["low", "medium", "high"];
+
+// Steps adding less delay than this aren't called out as bottlenecks
+const MIN_BOTTLENECK_DELAY_SECONDS = 60;
+
+// Free-flow speeds by kind of road, for spreading a leg's traffic delay over
+// its steps (see analyzeCongestion)
+const FREE_FLOW_SPEEDS_KMH = { highway: 105, ramp: 60, street: 50 };
+const HIGHWAY_PATTERN = /^(?:I|US|SR|M|A|NH)-?\s?\d|\b(?:Interstate|Highway|Hwy|Freeway|Fwy|Expressway|Expy|Turnpike|Tpke|Parkway|Pkwy|Motorway)\b/i;
+
+export function delayRatio(durationSeconds, durationInTrafficSeconds) {
+  if (durationInTrafficSeconds === null || durationInTrafficSeconds === undefined || !durationSeconds) {
+    return null;
+  }
+  return Math.round((durationInTrafficSeconds / durationSeconds) * 100) / 100;
+}
+
+export function trafficLevel(durationSeconds, durationInTrafficSeconds) {
+  const ratio = delayRatio(durationSeconds, durationInTrafficSeconds);
+  if (ratio === null) {
+    return "unknown";
+  }
+  if (ratio < 1.15) {
+    return "free";
+  }
+  if (ratio < 1.5) {
+    return "moderate";
+  }
+  if (ratio < 2.5) {
+    return "heavy";
+  }
+  return "standstill";
+}
+
+// Travel time in traffic when the provider has it, otherwise the typical duration
+export function travelSeconds(leg) {
+  return leg.duration_in_traffic?.value ?? leg.duration.value;
+}
+
+// Numeric measures of a leg (or matrix element) for structured output
+export function legMetrics(leg) {
+  const inTraffic = leg.duration_in_traffic?.value ?? null;
+  return {
+    distance_meters: leg.distance.value,
+    duration_seconds: leg.duration.value,
+    duration_in_traffic_seconds: inTraffic,
+    traffic_delay_seconds: inTraffic === null ? null : Math.max(0, inTraffic - leg.duration.value),
+    delay_ratio: delayRatio(leg.duration.value, inTraffic),
+    traffic_level: trafficLevel(leg.duration.value, inTraffic)
+  };
+}
+
+// Breaks a leg's traffic delay down by step and picks out the worst
+// bottlenecks. Providers only report traffic for the whole leg, so the delay
+// is shared out in proportion to how much slower than free flow each step
+// typically is: congestion builds where roads are already slow.
+export function analyzeCongestion(leg, { maxBottlenecks = 3 } = {}) {
+  const { traffic_delay_seconds, delay_ratio, traffic_level } = legMetrics(leg);
+  const slowdowns = leg.steps.map(step => Math.max(0, step.duration.value - freeFlowSeconds(step)));
+  const totalSlowdown = slowdowns.reduce((sum, seconds) => sum + seconds, 0);
+  const located = traffic_delay_seconds !== null && totalSlowdown > 0;
+
+  const steps = leg.steps.map((step, index) => {
+    const delay = located ? Math.round(traffic_delay_seconds * slowdowns[index] / totalSlowdown) : null;
+    const inTraffic = delay === null ? null : step.duration.value + delay;
+    return {
+      road: roadName(step.instruction),
+      delay_seconds: delay,
+      delay_ratio: delayRatio(step.duration.value, inTraffic),
+      traffic_level: trafficLevel(step.duration.value, inTraffic)
+    };
+  });
+
+  const bottlenecks = steps
+    .map((step, index) => ({ step_index: index, ...step }))
+    .filter(step => step.delay_seconds >= MIN_BOTTLENECK_DELAY_SECONDS)
+    .sort((a, b) => b.delay_seconds - a.delay_seconds)
+    .slice(0, maxBottlenecks)
+    .map(({ step_index, road, delay_seconds, delay_ratio, traffic_level }) => ({
+      step_index,
+      road: road || leg.steps[step_index].instruction,
+      near: landmarkNear(leg.steps, step_index),
+      delay_seconds,
+      delay_ratio,
+      traffic_level
+    }));
+
+  return {
+    delay_seconds: traffic_delay_seconds,
+    delay_ratio,
+    traffic_level,
+    located,
+    steps,
+    bottlenecks
+  };
+}
+
+// Time a step would take at the speed limit typical for its kind of road
+function freeFlowSeconds(step) {
+  const road = roadName(step.instruction) || "";
+  let kmh = FREE_FLOW_SPEEDS_KMH.street;
+  if (HIGHWAY_PATTERN.test(road)) {
+    kmh = FREE_FLOW_SPEEDS_KMH.highway;
+  } else if (/\b(?:ramp|exit)\b/i.test(step.instruction)) {
+    kmh = FREE_FLOW_SPEEDS_KMH.ramp;
+  }
+  return step.distance.value / (kmh / 3.6);
+}
+
+// "Slowdown on I-95 S near exit 22A (+6 mins)" style summary of an analysis
+export function describeCongestion({ delay_seconds, traffic_level, located, bottlenecks }) {
+  if (traffic_level === "unknown") {
+    return "No traffic data for this route";
+  }
+  if (delay_seconds < MIN_BOTTLENECK_DELAY_SECONDS) {
+    return "Traffic is flowing freely";
+  }
+
+  const total = `Traffic adds ${formatDuration(delay_seconds)} (${traffic_level})`;
+  if (!located) {
+    return `${total}, somewhere along the route`;
+  }
+  if (bottlenecks.length === 0) {
+    return `${total}, spread along the route`;
+  }
+
+  const [worst, ...others] = bottlenecks;
+  const place = bottleneck => `${bottleneck.road}${bottleneck.near ? ` near ${bottleneck.near}` : ""}`;
+  const also = others.length > 0
+    ? `; also ${others.map(other => `${place(other)} (+${formatDuration(other.delay_seconds)})`).join(", ")}`
+    : "";
+  return `${total}. The worst slowdown is likely on ${place(worst)} (+${formatDuration(worst.delay_seconds)})${also}`;
+}
+
+// Road a step travels on, from instructions like "Turn right onto Memorial
+// Blvd", "Keep left to continue on I-95 S" or "Take the Queens Midtown Tunnel"
+export function roadName(instruction) {
+  const match = instruction.match(/\b(?:onto|on)\s+(.+?)(?=\s+(?:toward|towards|for|via|to|then)\b|[,.(]|$)/i)
+    || instruction.match(/^Take\s+(?:the\s+)?(?!exit\b|ramp\b)(.+?)(?=\s+(?:toward|towards|to|via)\b|[,.(]|$)/i);
+  return match ? match[1].trim() : null;
+}
+
+// A landmark where a step ends: the exit the next step takes, else the road it joins
+function landmarkNear(steps, index) {
+  const next = steps[index + 1];
+  if (!next) {
+    return null;
+  }
+  const exit = next.instruction.match(/\bexit\s+(\d+[A-Z]?)/i);
+  return exit ? `exit ${exit[1]}` : roadName(next.instruction);
+}
+
+// Min/likely/max travel time from the three traffic models' estimates. The
+// models aren't guaranteed to be ordered, so min and max are taken from all
+// three. Confidence reflects how far apart they are relative to the likely time.
+export function forecastBand({ optimistic, best_guess, pessimistic }) {
+  const min = Math.min(optimistic, best_guess, pessimistic);
+  const max = Math.max(optimistic, best_guess, pessimistic);
+  const spread = (max - min) / best_guess;
+
+  let confidence = "low";
+  if (spread < 0.15) {
+    confidence = "high";
+  } else if (spread < 0.35) {
+    confidence = "medium";
+  }
+
+  return {
+    min_seconds: min,
+    likely_seconds: best_guess,
+    max_seconds: max,
+    spread_percent: Math.round(spread * 100),
+    confidence
+  };
+}
+
+export function budgetSeconds(band, riskTolerance) {
+  const { likely_seconds, max_seconds } = band;
+  return {
+    low: max_seconds,
+    medium: Math.round((likely_seconds + max_seconds) / 2),
+    high: likely_seconds
+  }[riskTolerance];
+}
@@ -0,0 +1,82 @@
+import { formatClockTime, formatDuration } from "./format.js";
+
+// Transit preferences accepted by the routing tools, mapped onto provider requests
+export const TRANSIT_MODES = ["bus", "subway", "train", "tram", "rail"];
+export const TRANSIT_PREFERENCES = ["less_walking", "fewer_transfers"];
+
+// Turns a transit leg into a ride-by-ride itinerary. Walking steps carry no
+// times, so the timeline is rebuilt from the leg's departure time to work out
+// how long each ride waits at its stop.
+export function transitItinerary(leg) {
+  let clock = leg.departure_time ? Date.parse(leg.departure_time.value) : null;
+  const segments = [];
+
+  for (const step of leg.steps) {
+    if (!step.transit) {
+      segments.push({
+        type: "walk",
+        instruction: step.instruction,
+        distance_meters: step.distance.value,
+        duration_seconds: step.duration.value
+      });
+      if (clock !== null) {
+        clock += step.duration.value * 1000;
+      }
+      continue;
+    }
+
+    const { line, headsign, departure_stop, arrival_stop, departure_time, arrival_time, num_stops } = step.transit;
+    const departs = Date.parse(departure_time.value);
+    segments.push({
+      type: "ride",
+      vehicle_type: line.vehicle_type,
+      line: line.name || line.short_name,
+      short_name: line.short_name || null,
+      agency: line.agency || null,
+      headsign: headsign || null,
+      from_stop: departure_stop.name,
+      to_stop: arrival_stop.name,
+      departure_time: departure_time.value,
+      arrival_time: arrival_time.value,
+      time_zone: departure_time.time_zone || null,
+      num_stops: num_stops,
+      wait_seconds: clock === null ? null : Math.max(0, Math.round((departs - clock) / 1000)),
+      duration_seconds: step.duration.value,
+      distance_meters: step.distance.value
+    });
+    clock = Date.parse(arrival_time.value);
+  }
+
+  const rides = segments.filter(segment => segment.type === "ride");
+  const walks = segments.filter(segment => segment.type === "walk");
+  return {
+    departure_time: leg.departure_time?.value ?? null,
+    arrival_time: leg.arrival_time?.value ?? null,
+    rides: rides.length,
+    transfers: Math.max(0, rides.length - 1),
+    walking_seconds: sum(walks.map(walk => walk.duration_seconds)),
+    walking_meters: sum(walks.map(walk => walk.distance_meters)),
+    waiting_seconds: sum(rides.map(ride => ride.wait_seconds ?? 0)),
+    segments
+  };
+}
+
+// "Red Line (subway) from Central at 8:10 AM to South Station at 8:21 AM, then ..."
+export function describeItinerary(itinerary) {
+  const rides = itinerary.segments.filter(segment => segment.type === "ride");
+  if (rides.length === 0) {
+    return `Walk the whole way (${formatDuration(itinerary.walking_seconds)}).`;
+  }
+
+  const legs = rides.map(ride => {
+    const vehicle = ride.vehicle_type.replace(/_/g, " ");
+    const times = time => formatClockTime(time, ride.time_zone);
+    return `${ride.line} (${vehicle}) from ${ride.from_stop} at ${times(ride.departure_time)} to ${ride.to_stop} at ${times(ride.arrival_time)}`;
+  });
+  const transfers = `${itinerary.transfers} transfer${itinerary.transfers === 1 ? "" : "s"}`;
+  return `${legs.join(", then ")}. ${transfers}, ${formatDuration(itinerary.walking_seconds)} walking, ${formatDuration(itinerary.waiting_seconds)} waiting.`;
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
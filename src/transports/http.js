@@ -0,0 +1,233 @@
+import { randomUUID, timingSafeEqual } from "crypto";
+import express from 'express';
+import cors from 'cors';
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { ErrorCode, isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { ServerErrorCode } from "../errors.js";
+import { hashApiKey } from "../auth.js";
+import { logContext, logger as defaultLogger } from "../logger.js";
+
+// Serves MCP over HTTP:
+//  - Streamable HTTP on /mcp (POST for messages, GET for the server->client
+//    SSE stream, DELETE to end a session), keyed by the Mcp-Session-Id header
+//  - the legacy HTTP+SSE transport on GET /sse + POST /messages for older clients
+//
+// Each session gets its own MCP Server from `createServer`, since a Server can
+// only be connected to a single transport.
+//
+// With `auth` (see createAuthFromEnv) every MCP route needs an API key, and a
+// session can only be used with the key that opened it. Browsers may only call
+// in from `corsOrigins` ('*' allows any origin).
+//
+// Every request gets a correlation ID (the caller's X-Request-Id, or a new
+// one) that is echoed back and added to everything logged while handling it.
+// With `metrics`, GET /metrics serves them for Prometheus, behind
+// `metricsToken` as a bearer token if one is set.
+export function createHttpApp({ createServer, auth = null, corsOrigins = [], logger = defaultLogger, metrics = null, metricsToken = null }) {
+  const app = express();
+  const sessions = new Map();
+  const owners = new Map();
+
+  app.use(trace(logger));
+  app.use(cors({
+    origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+    exposedHeaders: ['Mcp-Session-Id', 'X-Request-Id'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id', 'Mcp-Session-Id', 'Mcp-Protocol-Version', 'Last-Event-ID']
+  }));
+  app.use(express.json());
+
+  if (auth) {
+    app.use(['/mcp', '/sse', '/messages'], authenticate(auth));
+  }
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', message: 'Traffic MCP Server is running' });
+  });
+
+  if (metrics) {
+    app.get('/metrics', (req, res) => {
+      const bearer = req.get('Authorization')?.match(/^Bearer\s+(\S+)$/i);
+      if (metricsToken && !(bearer && sameToken(bearer[1], metricsToken))) {
+        res.set('WWW-Authenticate', 'Bearer realm="traffic-mcp-metrics"');
+        return res.status(401).type('text/plain').send('Unauthorized\n');
+      }
+      res.type('text/plain; version=0.0.4').send(metrics.render());
+    });
+  }
+
+  app.post('/mcp', async (req, res) => {
+    const sessionId = req.get('Mcp-Session-Id');
+    let transport = sessionId && ownedBy(req, sessionId) ? sessions.get(sessionId) : undefined;
+
+    if (!transport) {
+      if (sessionId) {
+        return sendError(res, 404, ErrorCode.InvalidRequest, 'Session not found');
+      }
+      if (!containsInitializeRequest(req.body)) {
+        return sendError(res, 400, ErrorCode.InvalidRequest, 'Bad Request: No valid session ID provided');
+      }
+
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.set(id, transport);
+          owners.set(id, req.auth?.clientId);
+        }
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          sessions.delete(transport.sessionId);
+          owners.delete(transport.sessionId);
+        }
+      };
+
+      await createServer().connect(transport);
+    }
+
+    await transport.handleRequest(req, res, req.body);
+  });
+
+  // GET opens the SSE stream for server-initiated messages, DELETE ends the session
+  const handleSessionRequest = async (req, res) => {
+    const sessionId = req.get('Mcp-Session-Id');
+    const transport = sessionId && ownedBy(req, sessionId) && sessions.get(sessionId);
+
+    if (!transport) {
+      return sendError(res, sessionId ? 404 : 400, ErrorCode.InvalidRequest,
+        sessionId ? 'Session not found' : 'Bad Request: Mcp-Session-Id header is required');
+    }
+
+    await transport.handleRequest(req, res);
+  };
+
+  app.get('/mcp', handleSessionRequest);
+  app.delete('/mcp', handleSessionRequest);
+
+  // Legacy HTTP+SSE transport (protocol version 2024-11-05)
+  const sseSessions = new Map();
+
+  app.get('/sse', async (req, res) => {
+    const transport = new SSEServerTransport('/messages', res);
+    sseSessions.set(transport.sessionId, transport);
+    owners.set(transport.sessionId, req.auth?.clientId);
+    res.on('close', () => {
+      sseSessions.delete(transport.sessionId);
+      owners.delete(transport.sessionId);
+    });
+
+    await createServer().connect(transport);
+  });
+
+  app.post('/messages', async (req, res) => {
+    const transport = ownedBy(req, req.query.sessionId) && sseSessions.get(req.query.sessionId);
+    if (!transport) {
+      return sendError(res, 404, ErrorCode.InvalidRequest, 'Session not found');
+    }
+
+    await transport.handlePostMessage(req, res, req.body);
+  });
+
+  // Another client's session is reported as missing rather than forbidden
+  function ownedBy(req, sessionId) {
+    return owners.get(sessionId) === req.auth?.clientId;
+  }
+
+  return app;
+}
+
+// Runs the rest of the request in a log context with its correlation ID, and
+// logs the outcome once the response is done: failures as warnings or errors,
+// the rest at debug level. Only the path is logged, never the body or query.
+function trace(logger) {
+  return (req, res, next) => {
+    const requestId = validRequestId(req.get('X-Request-Id')) || randomUUID();
+    const started = Date.now();
+    res.set('X-Request-Id', requestId);
+
+    logContext.run({ request_id: requestId }, () => {
+      res.once('close', () => {
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'debug';
+        logger.log(level, 'HTTP request', {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          duration_ms: Date.now() - started,
+          ...(req.auth && { client_id: req.auth.clientId })
+        });
+      });
+      next();
+    });
+  };
+}
+
+// Caller-supplied IDs are kept if they are short and plain
+function validRequestId(value) {
+  return value && /^[\w.:-]{1,128}$/.test(value) ? value : null;
+}
+
+function sameToken(token, expected) {
+  return timingSafeEqual(Buffer.from(hashApiKey(token), 'hex'), Buffer.from(hashApiKey(expected), 'hex'));
+}
+
+// Accepts the key as `Authorization: Bearer <key>` or `X-API-Key: <key>`, then
+// applies the key's request rate and, for tool calls, its daily quota. The
+// client id ends up in `req.auth`, which the SDK passes to handlers as authInfo.
+function authenticate({ keys, limiter, rateLimitPerMinute, dailyQuota }) {
+  return (req, res, next) => {
+    const bearer = req.get('Authorization')?.match(/^Bearer\s+(\S+)$/i);
+    const token = bearer ? bearer[1] : req.get('X-API-Key');
+    const key = keys.authenticate(token);
+
+    if (!key) {
+      res.set('WWW-Authenticate', `Bearer realm="traffic-mcp"${token ? ', error="invalid_token"' : ''}`);
+      return sendError(res, 401, ServerErrorCode.Unauthorized,
+        token ? 'Unauthorized: invalid API key' : 'Unauthorized: an API key is required');
+    }
+
+    const rateLimit = key.rate_limit_per_minute ?? rateLimitPerMinute;
+    const waitSeconds = limiter.hit(key.id, rateLimit);
+    if (waitSeconds > 0) {
+      res.set('Retry-After', String(waitSeconds));
+      return sendError(res, 429, ServerErrorCode.RateLimited,
+        `Rate limit exceeded: ${rateLimit} requests per minute`, { retry_after_seconds: waitSeconds });
+    }
+
+    const quota = key.daily_quota ?? dailyQuota;
+    const quotaWaitSeconds = limiter.consume(key.id, quota, countToolCalls(req.body));
+    if (quotaWaitSeconds > 0) {
+      res.set('Retry-After', String(quotaWaitSeconds));
+      return sendError(res, 429, ServerErrorCode.QuotaExceeded,
+        `Daily quota exceeded: ${quota} tool calls per day`, { retry_after_seconds: quotaWaitSeconds });
+    }
+
+    req.auth = { token, clientId: key.client_id, scopes: [], extra: { keyId: key.id } };
+    next();
+  };
+}
+
+function countToolCalls(body) {
+  const messages = Array.isArray(body) ? body : [body];
+  return messages.filter(message => message?.method === 'tools/call').length;
+}
+
+// Comma-separated origins from TRAFFIC_CORS_ORIGINS; none by default
+export function corsOriginsFromEnv(env = process.env) {
+  return (env.TRAFFIC_CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+}
+
+function containsInitializeRequest(body) {
+  return Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body);
+}
+
+function sendError(res, status, code, message, data) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: data ? { code, message, data } : { code, message },
+    id: null
+  });
+}
@@ -0,0 +1,257 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { BudgetExceededError } from "./errors.js";
+import { logger } from "./logger.js";
+import { dataPath, readJsonFile, writeJsonFile } from "./storage.js";
+
+// Estimated Google Maps Platform prices in USD per 1000 billable units
+// (requests, or elements for the distance matrix). Directions and matrix
+// lookups with live traffic or more than 10 waypoints bill at the advanced rate.
+export const GOOGLE_PRICES_PER_1000 = {
+  directions: 5,
+  directionsAdvanced: 10,
+  distanceMatrix: 5,
+  distanceMatrixAdvanced: 10,
+  geocode: 5,
+  reverseGeocode: 5,
+  searchPlaces: 32
+};
+
+// Who a provider call is made for: { tool, clientId }. Set around each tool
+// call (and each watch check) so the meter can attribute upstream usage.
+export const usageContext = new AsyncLocalStorage();
+
+// Counts upstream provider calls and their estimated cost per UTC day, broken
+// down by client and tool, and enforces optional daily and monthly caps.
+//
+// Stored as { days: { "2026-01-05": { [clientId]: { [tool]: { calls, cost_usd } } } } }
+export class UsageMeter {
+  constructor({ filePath, dailyBudgetUsd = null, monthlyBudgetUsd = null, retentionDays = 400 } = {}) {
+    this.filePath = filePath;
+    this.dailyBudgetUsd = dailyBudgetUsd;
+    this.monthlyBudgetUsd = monthlyBudgetUsd;
+    this.retentionDays = retentionDays;
+    this.days = filePath ? readJsonFile(filePath, { days: {} }).days : {};
+    this.pendingWrite = Promise.resolve();
+  }
+
+  async record({ tool, clientId }, costUsd, now = new Date()) {
+    const day = (this.days[dayOf(now)] ??= {});
+    const client = (day[clientId] ??= {});
+    const usage = (client[tool] ??= { calls: 0, cost_usd: 0 });
+    usage.calls++;
+    usage.cost_usd = roundCost(usage.cost_usd + costUsd);
+
+    this.prune(now);
+    await this.persist();
+  }
+
+  // The first cap that has been reached, or null while spending is allowed
+  exceeded(now = new Date()) {
+    const today = dayOf(now);
+    const month = today.slice(0, 7);
+    if (this.dailyBudgetUsd !== null) {
+      const spent = this.total(day => day === today).cost_usd;
+      if (spent >= this.dailyBudgetUsd) {
+        return { period: "daily", limit_usd: this.dailyBudgetUsd, spent_usd: spent, resets_at: nextDay(now).toISOString() };
+      }
+    }
+    if (this.monthlyBudgetUsd !== null) {
+      const spent = this.total(day => day.startsWith(month)).cost_usd;
+      if (spent >= this.monthlyBudgetUsd) {
+        return { period: "monthly", limit_usd: this.monthlyBudgetUsd, spent_usd: spent, resets_at: nextMonth(now).toISOString() };
+      }
+    }
+    return null;
+  }
+
+  // Totals for the days matching `dayFilter`, optionally for one client only
+  total(dayFilter, clientId) {
+    return summarize(this.entries(dayFilter, clientId));
+  }
+
+  // Flattens the stored tree into { day, clientId, tool, calls, cost_usd } rows
+  entries(dayFilter = () => true, clientId) {
+    const rows = [];
+    for (const [day, clients] of Object.entries(this.days)) {
+      if (!dayFilter(day)) {
+        continue;
+      }
+      for (const [client, tools] of Object.entries(clients)) {
+        if (clientId !== undefined && client !== clientId) {
+          continue;
+        }
+        for (const [tool, usage] of Object.entries(tools)) {
+          rows.push({ day, clientId: client, tool, ...usage });
+        }
+      }
+    }
+    return rows;
+  }
+
+  // Usage over the last `days` days: server-wide totals and per-tool figures,
+  // plus the totals of one client
+  report({ days = 7, clientId, now = new Date() } = {}) {
+    const today = dayOf(now);
+    const month = today.slice(0, 7);
+    const since = dayOf(new Date(Date.parse(today) - (days - 1) * 24 * 60 * 60 * 1000));
+    const inPeriod = day => day >= since && day <= today;
+
+    const byDay = new Map();
+    const byTool = new Map();
+    for (const row of this.entries(inPeriod)) {
+      add(byDay, row.day, row);
+      add(byTool, row.tool, row);
+    }
+
+    const spentToday = this.total(day => day === today).cost_usd;
+    const spentThisMonth = this.total(day => day.startsWith(month)).cost_usd;
+    return {
+      since,
+      today: this.total(day => day === today),
+      this_month: this.total(day => day.startsWith(month)),
+      period: summarize(this.entries(inPeriod)),
+      client: { client_id: clientId, ...this.total(inPeriod, clientId) },
+      days: [...byDay].map(([date, usage]) => ({ date, ...usage })).sort((a, b) => a.date.localeCompare(b.date)),
+      tools: [...byTool].map(([tool, usage]) => ({ tool, ...usage })).sort((a, b) => b.cost_usd - a.cost_usd || b.calls - a.calls),
+      budget: {
+        daily: budgetStatus(this.dailyBudgetUsd, spentToday),
+        monthly: budgetStatus(this.monthlyBudgetUsd, spentThisMonth),
+        exceeded: this.exceeded(now)
+      }
+    };
+  }
+
+  prune(now) {
+    const cutoff = dayOf(new Date(now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000));
+    for (const day of Object.keys(this.days)) {
+      if (day < cutoff) {
+        delete this.days[day];
+      }
+    }
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return Promise.resolve();
+    }
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(() => writeJsonFile(this.filePath, { days: this.days }));
+    return this.pendingWrite;
+  }
+
+  async flush() {
+    await this.pendingWrite;
+  }
+}
+
+// Provider decorator that meters every call reaching the wrapped provider.
+// It sits below the response cache, so cache hits cost nothing; once a budget
+// cap is reached it refuses to call upstream at all.
+export class MeteredProvider {
+  constructor(provider, meter) {
+    this.provider = provider;
+    this.meter = meter;
+    this.name = provider.name;
+
+    for (const method of ["distanceMatrix", "geocode", "reverseGeocode", "searchPlaces"]) {
+      if (provider[method]) {
+        this[method] = request => this.metered(method, request);
+      }
+    }
+  }
+
+  directions(request) {
+    return this.metered("directions", request);
+  }
+
+  // Failed upstream requests are counted too, since most are still billed
+  async metered(method, request) {
+    const exceeded = this.meter.exceeded();
+    if (exceeded) {
+      throw new BudgetExceededError(exceeded);
+    }
+    const context = usageContext.getStore() || {};
+    try {
+      return await this.provider[method](request);
+    } finally {
+      this.meter
+        .record(
+          { tool: context.tool || "unknown", clientId: context.clientId || "default" },
+          estimateCost(this.provider.name, method, request)
+        )
+        .catch(error => logger.error("Failed to record usage", { error }));
+    }
+  }
+}
+
+// The fixture provider stands in for Google, so it is priced the same and
+// budgets can be tried out offline. Self-hosted OSRM costs nothing.
+export function estimateCost(providerName, method, request) {
+  if (providerName !== "google" && providerName !== "fixture") {
+    return 0;
+  }
+  const traffic = (request.mode || "driving") === "driving" && Boolean(request.departureTime);
+  if (method === "directions") {
+    const advanced = traffic || (request.waypoints?.length ?? 0) > 10;
+    return GOOGLE_PRICES_PER_1000[advanced ? "directionsAdvanced" : "directions"] / 1000;
+  }
+  if (method === "distanceMatrix") {
+    const elements = request.origins.length * request.destinations.length;
+    return (elements * GOOGLE_PRICES_PER_1000[traffic ? "distanceMatrixAdvanced" : "distanceMatrix"]) / 1000;
+  }
+  return (GOOGLE_PRICES_PER_1000[method] ?? 0) / 1000;
+}
+
+export function createUsageMeterFromEnv(env = process.env) {
+  return new UsageMeter({
+    filePath: env.TRAFFIC_USAGE_FILE || dataPath("usage.json", env),
+    dailyBudgetUsd: budgetFromEnv(env.TRAFFIC_BUDGET_DAILY_USD),
+    monthlyBudgetUsd: budgetFromEnv(env.TRAFFIC_BUDGET_MONTHLY_USD)
+  });
+}
+
+function budgetFromEnv(value) {
+  const budget = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(budget) && budget >= 0 ? budget : null;
+}
+
+function budgetStatus(limit, spent) {
+  if (limit === null) {
+    return null;
+  }
+  return {
+    limit_usd: limit,
+    spent_usd: spent,
+    remaining_usd: roundCost(Math.max(0, limit - spent)),
+    used_percent: limit > 0 ? Math.round((spent / limit) * 100) : 100
+  };
+}
+
+function summarize(rows) {
+  return rows.reduce(
+    (total, row) => ({ calls: total.calls + row.calls, cost_usd: roundCost(total.cost_usd + row.cost_usd) }),
+    { calls: 0, cost_usd: 0 }
+  );
+}
+
+function add(totals, key, row) {
+  const total = totals.get(key) || { calls: 0, cost_usd: 0 };
+  totals.set(key, { calls: total.calls + row.calls, cost_usd: roundCost(total.cost_usd + row.cost_usd) });
+}
+
+function roundCost(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+function dayOf(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function nextDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+function nextMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
@@ -0,0 +1,148 @@
+import { randomUUID } from "crypto";
+import { mapWithConcurrency } from "./async.js";
+import { nextRun } from "./cron.js";
+import { logger } from "./logger.js";
+import { dataPath, readJsonFile, writeJsonFile } from "./storage.js";
+
+// Commute watches: routes polled on a cron schedule that alert when traffic
+// crosses a threshold. Persisted to a JSON file so they survive restarts.
+export class WatchStore {
+  constructor({ filePath } = {}) {
+    this.filePath = filePath;
+    this.watches = filePath ? readJsonFile(filePath, { watches: {} }).watches : {};
+    this.pendingWrite = Promise.resolve();
+  }
+
+  all() {
+    return Object.values(this.watches);
+  }
+
+  list(userId) {
+    return this.all()
+      .filter(watch => watch.user_id === userId)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  get(userId, id) {
+    const watch = this.watches[id];
+    return watch && watch.user_id === userId ? watch : null;
+  }
+
+  async add(userId, watch) {
+    const entry = {
+      id: `w_${randomUUID().slice(0, 8)}`,
+      user_id: userId,
+      ...watch,
+      created_at: new Date().toISOString()
+    };
+
+    this.watches[entry.id] = entry;
+    await this.persist();
+    return entry;
+  }
+
+  async update(id, changes) {
+    if (!this.watches[id]) {
+      return null;
+    }
+
+    this.watches[id] = { ...this.watches[id], ...changes };
+    await this.persist();
+    return this.watches[id];
+  }
+
+  async delete(userId, id) {
+    if (!this.get(userId, id)) {
+      return false;
+    }
+
+    delete this.watches[id];
+    await this.persist();
+    return true;
+  }
+
+  // Writes are chained so concurrent updates never interleave on disk
+  persist() {
+    if (!this.filePath) {
+      return Promise.resolve();
+    }
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(() => writeJsonFile(this.filePath, { watches: this.watches }));
+    return this.pendingWrite;
+  }
+}
+
+// Polls the store and runs every watch whose next_run has passed. `check`
+// does the actual route lookup and alerting; the scheduler only keeps time.
+export class WatchScheduler {
+  constructor({ store, check, intervalSeconds = 30, concurrency = 4 }) {
+    this.store = store;
+    this.check = check;
+    this.intervalSeconds = intervalSeconds;
+    this.concurrency = concurrency;
+    this.timer = null;
+    this.running = null;
+  }
+
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    // Runs missed while the server was down are skipped, not replayed
+    const now = new Date();
+    for (const watch of this.store.all()) {
+      if (!watch.next_run || new Date(watch.next_run) < now) {
+        await this.store.update(watch.id, { next_run: nextRun(watch.schedule, now).toISOString() });
+      }
+    }
+
+    // Unref so the scheduler never keeps the process alive on its own
+    this.timer = setInterval(
+      () => this.tick().catch(error => logger.error("Watch scheduler tick failed", { error })),
+      this.intervalSeconds * 1000
+    );
+    this.timer.unref();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.running;
+  }
+
+  tick(now = new Date()) {
+    // A slow upstream must not cause the same watch to run twice
+    if (this.running) {
+      return this.running;
+    }
+
+    const due = this.store.all().filter(watch => new Date(watch.next_run) <= now);
+    this.running = mapWithConcurrency(due, this.concurrency, async watch => {
+      let changes;
+      try {
+        changes = await this.check(watch, now);
+      } catch (error) {
+        logger.error("Watch check failed", { watch_id: watch.id, error });
+        changes = { last_error: { at: now.toISOString(), message: error.message } };
+      }
+      // One watch failing to save must not stop the rest of the tick
+      try {
+        await this.store.update(watch.id, { ...changes, next_run: nextRun(watch.schedule, now).toISOString() });
+      } catch (error) {
+        logger.error("Failed to save watch check", { watch_id: watch.id, error });
+      }
+    }).finally(() => {
+      this.running = null;
+    });
+
+    return this.running;
+  }
+}
+
+export function createWatchStoreFromEnv(env = process.env) {
+  return new WatchStore({
+    filePath: env.TRAFFIC_WATCHES_FILE || dataPath("watches.json", env)
+  });
+}
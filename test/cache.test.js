@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { CachingProvider, DirectionsCache } from "../src/cache.js";
+
+const at = time => new Date(`2030-01-07T${time}:00Z`);
+
+function countingProvider() {
+  const provider = {
+    name: "fake",
+    calls: 0,
+    async directions({ departureTime }) {
+      provider.calls++;
+      return { routes: [], departure: departureTime.toISOString() };
+    }
+  };
+  return provider;
+}
+
+describe("directions cache", () => {
+  test("departures in the same bucket share an entry", async () => {
+    const upstream = countingProvider();
+    const provider = new CachingProvider(upstream, new DirectionsCache());
+    await provider.directions({ origin: "A", destination: "B", departureTime: at("08:00") });
+    const second = await provider.directions({ origin: "A", destination: "B", departureTime: at("08:10") });
+    assert.equal(upstream.calls, 1);
+    assert.equal(second.cache.status, "hit");
+  });
+
+  test("a finer bucket looks up each departure and never reuses coarse entries", async () => {
+    const upstream = countingProvider();
+    const provider = new CachingProvider(upstream, new DirectionsCache());
+    await provider.directions({ origin: "A", destination: "B", departureTime: at("08:10") });
+
+    const answers = [];
+    for (const time of ["08:00", "08:05", "08:10"]) {
+      answers.push(await provider.directions({ origin: "A", destination: "B", departureTime: at(time) }, { bucketMinutes: 1 }));
+    }
+    assert.equal(upstream.calls, 4);
+    assert.deepEqual(answers.map(answer => answer.departure), [at("08:00"), at("08:05"), at("08:10")].map(time => time.toISOString()));
+  });
+});
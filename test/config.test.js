@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { after, test } from "node:test";
+import { ConfigError, loadConfig } from "../src/config.js";
+import { ROOT, SERVER } from "./helpers.js";
+
+const dir = mkdtempSync(join(tmpdir(), "traffic-config-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const OFFLINE = { TRAFFIC_PROVIDER: "fixture" };
+
+function configFile(name, contents) {
+  const filePath = join(dir, name);
+  writeFileSync(filePath, typeof contents === "string" ? contents : JSON.stringify(contents));
+  return filePath;
+}
+
+function problems(options) {
+  try {
+    loadConfig({ cwd: dir, ...options });
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+  assert.fail("the configuration was accepted");
+}
+
+test("defaults to stdio on the google provider", () => {
+  const config = loadConfig({ argv: [], env: { GOOGLE_MAPS_API_KEY: "key" }, cwd: dir });
+  assert.equal(config.transport, "stdio");
+  assert.equal(config.provider, "google");
+  assert.equal(config.port, 3000);
+  assert.equal(config.logLevel, "info");
+});
+
+test("flags override the environment, which overrides the config file", () => {
+  const file = configFile("layers.json", { transport: "http", port: 4000, host: "0.0.0.0", logLevel: "warn" });
+  const config = loadConfig({
+    argv: ["--config", file, "--port", "5000"],
+    env: { ...OFFLINE, TRAFFIC_PORT: "4500", TRAFFIC_LOG_LEVEL: "debug" },
+    cwd: dir
+  });
+  assert.equal(config.transport, "http");
+  assert.equal(config.host, "0.0.0.0");
+  assert.equal(config.port, 5000);
+  assert.equal(config.logLevel, "debug");
+});
+
+test("the config file's env section fills in unset environment variables", () => {
+  const file = configFile("env.json", { env: { TRAFFIC_PROVIDER: "fixture", TRAFFIC_CACHE_LIVE_TTL: 60, TRAFFIC_HISTORY: "off" } });
+  const config = loadConfig({ argv: [], env: { TRAFFIC_CONFIG: file, TRAFFIC_HISTORY: "on" }, cwd: dir });
+  assert.equal(config.provider, "fixture");
+  assert.equal(config.env.TRAFFIC_CACHE_LIVE_TTL, "60");
+  assert.equal(config.env.TRAFFIC_HISTORY, "on");
+});
+
+test("the older positional form and DEBUG=true still work", () => {
+  const config = loadConfig({ argv: ["http", "3333"], env: { ...OFFLINE, DEBUG: "true" }, cwd: dir });
+  assert.equal(config.transport, "http");
+  assert.equal(config.port, 3333);
+  assert.equal(config.logLevel, "debug");
+});
+
+test("the fixture provider and replayed responses need no API key", () => {
+  assert.equal(loadConfig({ argv: ["--provider", "fixture"], env: {}, cwd: dir }).provider, "fixture");
+  assert.equal(loadConfig({ argv: [], env: { TRAFFIC_REPLAY: "cassette.json" }, cwd: dir }).provider, "google");
+});
+
+test("reports every problem at once, naming where each value came from", () => {
+  const found = problems({
+    argv: ["--transport", "carrier-pigeon", "--log-level", "loud"],
+    env: { TRAFFIC_PORT: "99999" }
+  });
+  assert.equal(found.length, 4);
+  assert.match(found[0], /--transport must be one of stdio, http/);
+  assert.match(found[1], /TRAFFIC_PORT must be a port number/);
+  assert.match(found[2], /--log-level must be one of/);
+  assert.match(found[3], /GOOGLE_MAPS_API_KEY is required.*--provider fixture/);
+});
+
+test("rejects unknown flags, providers and config file settings", () => {
+  assert.match(problems({ argv: ["--verbose"], env: OFFLINE })[0], /verbose/);
+  assert.match(problems({ argv: ["--provider", "mapquest"], env: {} })[0], /one of google, osrm, fixture/);
+  assert.match(problems({ argv: [], env: { TRAFFIC_PROVIDER: "osrm" } })[0], /OSRM_URL is required/);
+
+  const file = configFile("unknown.json", { provider: "fixture", prot: 3000 });
+  assert.match(problems({ argv: ["--config", file], env: {} })[0], /Unknown setting "prot"/);
+});
+
+test("a missing or unreadable config file is an error", () => {
+  assert.match(problems({ argv: ["--config", "nope.json"], env: OFFLINE })[0], /Config file not found/);
+  assert.match(problems({ argv: ["--config", configFile("broken.json", "{")], env: OFFLINE })[0], /Could not read/);
+});
+
+test("the server fails to start with a clear message instead of a stack trace", () => {
+  const result = spawnSync(process.execPath, [SERVER, "--provider", "google"], {
+    cwd: dir,
+    env: { PATH: process.env.PATH },
+    encoding: "utf8",
+    timeout: 10000
+  });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Invalid configuration:\n {2}- GOOGLE_MAPS_API_KEY is required/);
+  assert.doesNotMatch(result.stderr, /at .*\.js:\d+/);
+});
+
+test("the server can be imported and used as a library without side effects", () => {
+  const script = `
+    const { TrafficMCPServer } = await import(${JSON.stringify(SERVER)});
+    const server = new TrafficMCPServer({ env: { TRAFFIC_PROVIDER: "fixture", TRAFFIC_DATA_DIR: ${JSON.stringify(dir)} } });
+    console.log(server.tools.list().length);
+    await server.close();
+  `;
+  const result = spawnSync(process.execPath, ["--input-type=module", "-e", script], {
+    cwd: ROOT,
+    env: { PATH: process.env.PATH },
+    encoding: "utf8",
+    timeout: 10000
+  });
+  assert.equal(result.stderr, "");
+  assert.equal(result.stdout, "20\n");
+  assert.equal(result.status, 0);
+});
@@ -0,0 +1,153 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+import { ServerErrorCode } from "../src/errors.js";
+import { ResilientProvider } from "../src/resilience.js";
+import { callTool, REPLAY_ENV, startStdio, TRANSPORTS } from "./helpers.js";
+
+// Rejects with the McpError a tool call fails with
+async function toolError(client, name, args) {
+  try {
+    await client.callTool({ name, arguments: args });
+  } catch (error) {
+    return error;
+  }
+  assert.fail(`${name} did not fail`);
+}
+
+const toProvidence = origin => ({ origin, destination: "Providence, RI" });
+
+for (const [transport, start] of TRANSPORTS) {
+  describe(`malformed input over ${transport}`, () => {
+    let server;
+
+    before(async () => {
+      server = await start();
+    });
+
+    after(() => server.close());
+
+    test("missing required arguments are invalid params", async () => {
+      const error = await toolError(server.client, "get_live_traffic", { origin: "Boston, MA" });
+      assert.equal(error.code, ErrorCode.InvalidParams);
+      assert.match(error.message, /destination/);
+    });
+
+    test("arguments of the wrong type are invalid params", async () => {
+      const error = await toolError(server.client, "get_travel_matrix", { origins: "Boston, MA", destinations: ["Cambridge, MA"] });
+      assert.equal(error.code, ErrorCode.InvalidParams);
+    });
+
+    test("out-of-range arguments are invalid params", async () => {
+      const error = await toolError(server.client, "get_usage_stats", { days: 365 });
+      assert.equal(error.code, ErrorCode.InvalidParams);
+    });
+
+    test("find_meeting_point needs either venues or a category", async () => {
+      const travelers = [{ origin: "Boston, MA" }, { origin: "Cambridge, MA" }];
+      const both = await toolError(server.client, "find_meeting_point", { travelers, venues: ["Somerville, MA"], category: "cafe" });
+      assert.equal(both.code, ErrorCode.InvalidParams);
+      const neither = await toolError(server.client, "find_meeting_point", { travelers });
+      assert.equal(neither.code, ErrorCode.InvalidParams);
+    });
+
+    test("unknown tools are rejected", async () => {
+      const error = await toolError(server.client, "get_weather", {});
+      assert.equal(error.code, ErrorCode.MethodNotFound);
+    });
+  });
+
+  // Google responses recorded in test/fixtures/google-cassette.json
+  describe(`recorded Google responses over ${transport}`, () => {
+    let server;
+
+    before(async () => {
+      server = await start({ ...REPLAY_ENV, TRAFFIC_CIRCUIT_THRESHOLD: "100" });
+    });
+
+    after(() => server.close());
+
+    test("a recorded route is normalized like a live one", async () => {
+      const result = await callTool(server.client, "get_live_traffic", toProvidence("Boston, MA"));
+      assert.equal(result.status, "ok");
+      assert.equal(result.duration_in_traffic_seconds, 4200);
+      assert.equal(result.distance_meters, 80123);
+      // Google only reports traffic for the whole leg; the steps' share is estimated
+      assert.equal(result.bottlenecks[0].road, "I-93 S");
+      assert.equal(result.steps.reduce((sum, step) => sum + step.delay_seconds, 0), 900);
+    });
+
+    test("ZERO_RESULTS is a no_route result, not an error", async () => {
+      const result = await callTool(server.client, "get_live_traffic", { origin: "Boston, MA", destination: "Honolulu, HI" });
+      assert.equal(result.status, "no_route");
+    });
+
+    test("NOT_FOUND asks the client to fix the input", async () => {
+      const error = await toolError(server.client, "get_live_traffic", toProvidence("Nowhereville"));
+      assert.equal(error.code, ServerErrorCode.NotFound);
+      assert.equal(error.data.action, "fix_input");
+    });
+
+    test("REQUEST_DENIED points at the server's configuration", async () => {
+      const error = await toolError(server.client, "get_live_traffic", toProvidence("Cambridge, MA"));
+      assert.equal(error.code, ServerErrorCode.UpstreamDenied);
+      assert.equal(error.data.action, "check_configuration");
+      assert.match(error.message, /API key is invalid/);
+    });
+
+    test("OVER_QUERY_LIMIT is retried, then reported as rate limiting", async () => {
+      const error = await toolError(server.client, "get_live_traffic", toProvidence("Worcester, MA"));
+      assert.equal(error.code, ServerErrorCode.UpstreamRateLimited);
+      assert.equal(error.data.action, "retry_later");
+    });
+
+    test("an HTTP 503 is reported as the upstream being unavailable", async () => {
+      const error = await toolError(server.client, "get_live_traffic", toProvidence("Lowell, MA"));
+      assert.equal(error.code, ServerErrorCode.UpstreamUnavailable);
+      assert.equal(error.data.action, "retry_later");
+    });
+  });
+}
+
+describe("circuit breaker", () => {
+  let server;
+
+  before(async () => {
+    server = await startStdio({ ...REPLAY_ENV, TRAFFIC_UPSTREAM_RETRIES: "0", TRAFFIC_CIRCUIT_THRESHOLD: "2" });
+  });
+
+  after(() => server.close());
+
+  test("opens after repeated outages and fails fast", async () => {
+    for (let i = 0; i < 2; i++) {
+      const error = await toolError(server.client, "get_live_traffic", toProvidence("Lowell, MA"));
+      assert.equal(error.code, ServerErrorCode.UpstreamUnavailable);
+    }
+
+    const error = await toolError(server.client, "get_live_traffic", toProvidence("Boston, MA"));
+    assert.equal(error.code, ServerErrorCode.CircuitOpen);
+    assert.ok(error.data.retry_after_seconds > 0);
+  });
+});
+
+describe("upstream timeouts", () => {
+  test("abort the timed-out request before retrying", async () => {
+    const calls = [];
+    const hanging = {
+      name: "fake",
+      directions({ signal }) {
+        const call = { aborted: false, overlapped: calls.some(earlier => !earlier.aborted) };
+        calls.push(call);
+        return new Promise((_, reject) => signal.addEventListener("abort", () => {
+          call.aborted = true;
+          reject(signal.reason);
+        }));
+      }
+    };
+    const provider = new ResilientProvider(hanging, { timeoutMs: 20, retries: 2, baseDelayMs: 1 });
+
+    await assert.rejects(provider.directions({ origin: "A", destination: "B" }), { status: "TIMEOUT" });
+    assert.equal(calls.length, 3);
+    assert.ok(calls.every(call => call.aborted && !call.overlapped));
+  });
+});
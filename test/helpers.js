@@ -0,0 +1,193 @@
+import { spawn } from "child_process";
+import { mkdtempSync, rmSync } from "fs";
+import { createServer } from "net";
+import { tmpdir } from "os";
+import { join } from "path";
+import { fileURLToPath } from "url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { ApiKeyStore } from "../src/auth.js";
+
+export const ROOT = fileURLToPath(new URL("..", import.meta.url));
+export const CASSETTE = join(ROOT, "test/fixtures/google-cassette.json");
+export const SERVER = join(ROOT, "src/server.js");
+
+// Every server gets its own data directory and an environment built from
+// scratch, and runs from that directory so a developer's .env or real API key
+// never leaks into a test
+function serverEnv(dataDir, env) {
+  return {
+    PATH: process.env.PATH,
+    TRAFFIC_DATA_DIR: dataDir,
+    TRAFFIC_PROVIDER: "fixture",
+    TRAFFIC_UPSTREAM_RETRY_DELAY_MS: "1",
+    ...env
+  };
+}
+
+// Replays the recorded Google cassette instead of the fixture provider
+export const REPLAY_ENV = {
+  TRAFFIC_PROVIDER: "google",
+  TRAFFIC_REPLAY: CASSETTE,
+  TRAFFIC_DISAMBIGUATE: "off"
+};
+
+// A server that doesn't come up within this fails its suite's `before` hook
+// instead of hanging the whole run
+const STARTUP_TIMEOUT_MS = 10000;
+
+// Starts `src/server.js` over stdio and connects an MCP client to it
+export async function startStdio(env = {}) {
+  const dataDir = mkdtempSync(join(tmpdir(), "traffic-test-"));
+  const client = new Client({ name: "traffic-tests", version: "1.0.0" });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER],
+    cwd: dataDir,
+    env: serverEnv(dataDir, env),
+    stderr: "ignore"
+  });
+  try {
+    await client.connect(transport, { timeout: STARTUP_TIMEOUT_MS });
+  } catch (error) {
+    // Stops the server process too
+    await transport.close();
+    rmSync(dataDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return {
+    client,
+    dataDir,
+    async close() {
+      await client.close();
+      rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Starts `src/server.js --transport http` on a free port with one API key, and connects
+// an MCP client over Streamable HTTP with that key. `logs` collects the
+// server's log lines as they come in.
+export async function startHttp(env = {}, { clientId = "tests" } = {}) {
+  const dataDir = mkdtempSync(join(tmpdir(), "traffic-test-"));
+  const keys = new ApiKeyStore({ filePath: join(dataDir, "api-keys.json") });
+  const { key } = await keys.create(clientId);
+  const port = await freePort();
+  const url = `http://localhost:${port}`;
+
+  const server = spawn(process.execPath, [SERVER, "--transport", "http", "--port", String(port)], {
+    cwd: dataDir,
+    env: serverEnv(dataDir, env),
+    stdio: ["ignore", "ignore", "pipe"]
+  });
+  const logs = [];
+  const stop = async () => {
+    if (server.exitCode === null && server.signalCode === null) {
+      server.kill();
+      await new Promise(resolve => server.once("exit", resolve));
+    }
+    rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  let client;
+  try {
+    await listening(server, url, logs);
+    client = await connectHttp(url, key);
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+
+  return {
+    client,
+    url,
+    key,
+    keys,
+    dataDir,
+    logs,
+    // Log lines arrive separately from responses, so may lag behind them
+    async waitForLog(predicate, timeoutMs = 2000) {
+      const deadline = Date.now() + timeoutMs;
+      while (Date.now() < deadline) {
+        const entry = logs.findLast(predicate);
+        if (entry) {
+          return entry;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      throw new Error("Expected log line not written");
+    },
+    connect: (apiKey = key) => connectHttp(url, apiKey),
+    async close() {
+      await client.close();
+      await stop();
+    }
+  };
+}
+
+// Collects the server's JSON log lines into `logs` and resolves once it logs
+// that it is listening on `url`
+function listening(server, url, logs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`Server did not start within ${STARTUP_TIMEOUT_MS} ms: ${JSON.stringify(logs)}`)),
+      STARTUP_TIMEOUT_MS
+    );
+    let output = "";
+    server.stderr.on("data", chunk => {
+      output += chunk;
+      const lines = output.split("\n");
+      output = lines.pop();
+      for (const line of lines) {
+        // A crash writes a plain stack trace; keep it for the error message
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          entry = { raw: line };
+        }
+        logs.push(entry);
+        if (entry.url === url) {
+          clearTimeout(timer);
+          resolve();
+        }
+      }
+    });
+    server.on("exit", code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}: ${JSON.stringify(logs)}`));
+    });
+  });
+}
+
+export async function connectHttp(url, apiKey) {
+  const client = new Client({ name: "traffic-tests", version: "1.0.0" });
+  await client.connect(new StreamableHTTPClientTransport(new URL(`${url}/mcp`), {
+    requestInit: { headers: { Authorization: `Bearer ${apiKey}` } }
+  }), { timeout: STARTUP_TIMEOUT_MS });
+  return client;
+}
+
+// Both transports, for suites that should behave the same over either
+export const TRANSPORTS = [
+  ["stdio", startStdio],
+  ["http", startHttp]
+];
+
+export async function callTool(client, name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  return result.structuredContent;
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { ServerErrorCode } from "../src/errors.js";
+import { callTool, startHttp } from "./helpers.js";
+
+const INITIALIZE = {
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: { protocolVersion: "2025-06-18", capabilities: {}, clientInfo: { name: "traffic-tests", version: "1.0.0" } }
+};
+
+function post(url, headers, body = INITIALIZE) {
+  return fetch(`${url}/mcp`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json, text/event-stream", ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+describe("HTTP authentication", () => {
+  let server;
+
+  before(async () => {
+    server = await startHttp({ TRAFFIC_DAILY_QUOTA: "3" });
+  });
+
+  after(() => server.close());
+
+  test("the health check needs no key", async () => {
+    const response = await fetch(`${server.url}/health`);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, "ok");
+  });
+
+  test("requests without a key are rejected", async () => {
+    const response = await post(server.url, {});
+    assert.equal(response.status, 401);
+    assert.match(response.headers.get("WWW-Authenticate"), /Bearer/);
+    assert.equal((await response.json()).error.code, ServerErrorCode.Unauthorized);
+  });
+
+  test("unknown and revoked keys are rejected", async () => {
+    assert.equal((await post(server.url, { "X-API-Key": "tbk_not-a-key" })).status, 401);
+
+    const { key, entry } = await server.keys.create("revoked");
+    assert.equal((await post(server.url, { "X-API-Key": key })).status, 200);
+    await server.keys.revoke(entry.id);
+    assert.equal((await post(server.url, { "X-API-Key": key })).status, 401);
+  });
+
+  test("a session only works with the key that opened it", async () => {
+    const opened = await post(server.url, { Authorization: `Bearer ${server.key}` });
+    const sessionId = opened.headers.get("Mcp-Session-Id");
+    assert.ok(sessionId);
+
+    const { key } = await server.keys.create("someone-else");
+    const response = await post(server.url, { Authorization: `Bearer ${key}`, "Mcp-Session-Id": sessionId }, {
+      jsonrpc: "2.0",
+      id: 2,
+      method: "tools/list"
+    });
+    assert.equal(response.status, 404);
+  });
+
+  test("tool calls count against the key's daily quota", async () => {
+    const { key } = await server.keys.create("quota");
+    const client = await server.connect(key);
+    try {
+      for (let i = 0; i < 3; i++) {
+        assert.equal((await callTool(client, "list_places")).status, "ok");
+      }
+      await assert.rejects(client.callTool({ name: "list_places", arguments: {} }), /429|quota/i);
+    } finally {
+      await client.close();
+    }
+  });
+});
+
+describe("HTTP rate limiting", () => {
+  let server;
+
+  before(async () => {
+    server = await startHttp({ TRAFFIC_RATE_LIMIT: "2" });
+  });
+
+  after(() => server.close());
+
+  test("requests over the per-minute limit get 429 with Retry-After", async () => {
+    const headers = { Authorization: `Bearer ${server.key}` };
+    let response;
+    for (let i = 0; i < 3; i++) {
+      response = await post(server.url, headers);
+      if (response.status === 429) {
+        break;
+      }
+    }
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers.get("Retry-After")) > 0);
+
+    const body = await response.json();
+    assert.equal(body.error.code, ServerErrorCode.RateLimited);
+    assert.ok(body.error.data.retry_after_seconds > 0);
+  });
+});
@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { distanceMeters } from "../src/geo.js";
+import { fitResolution, polygonAreaKm2, reachablePolygon, samplingGrid } from "../src/isochrone.js";
+
+const origin = { lat: 42.36, lng: -71.06 };
+
+describe("reachable areas", () => {
+  test("the sampling grid fills a circle around the origin, leaving the origin out", () => {
+    const grid = samplingGrid(origin, 5000, 11);
+    assert.equal(grid.length, 80);
+    assert.ok(grid.every(point => distanceMeters(origin, point) <= 5001));
+    assert.ok(!grid.some(point => point.lat === origin.lat && point.lng === origin.lng));
+  });
+
+  test("fitResolution picks the finest grid within the cap", () => {
+    assert.equal(fitResolution(11, 100), 11);
+    assert.equal(fitResolution(21, 50), 9);
+    assert.equal(fitResolution(11, 3), null);
+  });
+
+  test("a full grid gives a closed, counterclockwise polygon of about the circle's area", () => {
+    const polygon = reachablePolygon(origin, samplingGrid(origin, 5000, 11), 20);
+    const ring = polygon.coordinates[0];
+    assert.deepEqual(ring[0], ring.at(-1));
+
+    let twiceSignedArea = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      twiceSignedArea += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    assert.ok(twiceSignedArea > 0);
+
+    const circle = Math.PI * 5 ** 2;
+    const area = polygonAreaKm2(polygon);
+    assert.ok(area > circle * 0.8 && area <= circle, `area ${area}`);
+  });
+
+  test("an area on one side of the origin still contains it", () => {
+    const east = samplingGrid(origin, 5000, 11).filter(point => point.lng > origin.lng);
+    const ring = reachablePolygon(origin, east, 40).coordinates[0];
+    assert.ok(ring.some(([lng, lat]) => lat === origin.lat && lng === origin.lng));
+  });
+
+  test("fewer than three corners is no area", () => {
+    assert.equal(reachablePolygon(origin, [], 8), null);
+  });
+});
@@ -0,0 +1,181 @@
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { after, before, describe, test } from "node:test";
+import { Writable } from "stream";
+import { UpstreamError } from "../src/errors.js";
+import { Logger, logContext } from "../src/logger.js";
+import { Metrics } from "../src/metrics.js";
+import { callTool, SERVER, startHttp } from "./helpers.js";
+
+function memoryLogger(level) {
+  const lines = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      lines.push(JSON.parse(chunk));
+      callback();
+    }
+  });
+  return { logger: new Logger({ level, stream }), lines };
+}
+
+describe("logger", () => {
+  test("writes JSON lines at or above its level", () => {
+    const { logger, lines } = memoryLogger("warn");
+    logger.info("hidden");
+    logger.warn("shown", { count: 2 });
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, "warn");
+    assert.equal(lines[0].msg, "shown");
+    assert.equal(lines[0].count, 2);
+  });
+
+  test("redacts location fields at any depth", () => {
+    const { logger, lines } = memoryLogger("debug");
+    logger.debug("Tool call", {
+      arguments: { origin: "12 Home St", stops: [{ location: "Work" }], mode: "driving" },
+      error: new Error("No route to 12 Home St")
+    });
+    const { arguments: args, error } = lines[0];
+    assert.deepEqual(args, { origin: "[redacted]", stops: "[redacted]", mode: "driving" });
+    assert.deepEqual(error, { name: "Error" });
+    assert.doesNotMatch(JSON.stringify(lines), /Home St|Work/);
+  });
+
+  test("logs errors by kind, without messages that may quote a location", () => {
+    const { logger, lines } = memoryLogger("debug");
+    logger.warn("Tool call failed", { error: new UpstreamError("NOT_FOUND", "Could not find the 'near' location: 42 Secret Lane") });
+    assert.deepEqual(lines[0].error, { name: "UpstreamError", status: "NOT_FOUND" });
+  });
+
+  test("adds the request context and child fields to every line", () => {
+    const { logger, lines } = memoryLogger("info");
+    logContext.run({ request_id: "req-1" }, () => logger.child({ component: "test" }).info("hello"));
+    assert.equal(lines[0].request_id, "req-1");
+    assert.equal(lines[0].component, "test");
+  });
+});
+
+describe("metrics", () => {
+  test("renders counters and histograms in the Prometheus text format", () => {
+    const metrics = new Metrics();
+    metrics.toolCalls.inc({ tool: "geocode", status: "ok" });
+    metrics.toolCalls.inc({ tool: "geocode", status: "ok" });
+    metrics.toolDuration.observe({ tool: "geocode" }, 0.2);
+    const text = metrics.render();
+
+    assert.match(text, /# TYPE traffic_tool_calls_total counter/);
+    assert.match(text, /traffic_tool_calls_total\{tool="geocode",status="ok"\} 2/);
+    assert.match(text, /traffic_tool_duration_seconds_bucket\{tool="geocode",le="0.1"\} 0/);
+    assert.match(text, /traffic_tool_duration_seconds_bucket\{tool="geocode",le="0.25"\} 1/);
+    assert.match(text, /traffic_tool_duration_seconds_count\{tool="geocode"\} 1/);
+  });
+});
+
+describe("stdio mode", () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = mkdtempSync(join(tmpdir(), "traffic-test-"));
+  });
+
+  after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+  test("keeps stdout for the protocol and logs tool calls to stderr without locations", async () => {
+    const server = spawn(process.execPath, [SERVER, "--log-level", "debug"], {
+      cwd: dataDir,
+      env: { PATH: process.env.PATH, TRAFFIC_DATA_DIR: dataDir, TRAFFIC_PROVIDER: "fixture" }
+    });
+    let stdout = "";
+    let stderr = "";
+    server.stdout.on("data", chunk => { stdout += chunk; });
+    server.stderr.on("data", chunk => { stderr += chunk; });
+
+    const messages = [
+      { jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2025-06-18", capabilities: {}, clientInfo: { name: "t", version: "1" } } },
+      { jsonrpc: "2.0", method: "notifications/initialized" },
+      { jsonrpc: "2.0", id: 2, method: "tools/call", params: { name: "get_live_traffic", arguments: { origin: "Boston, MA", destination: "Providence, RI" } } }
+    ];
+    server.stdin.write(messages.map(message => JSON.stringify(message)).join("\n") + "\n");
+    await new Promise(resolve => {
+      server.stdout.on("data", () => {
+        if (stdout.includes('"id":2')) {
+          resolve();
+        }
+      });
+    });
+    server.kill();
+    // "close" waits for stderr to be drained as well
+    await new Promise(resolve => server.once("close", resolve));
+
+    for (const line of stdout.trim().split("\n")) {
+      assert.equal(JSON.parse(line).jsonrpc, "2.0");
+    }
+
+    const logs = stderr.trim().split("\n").map(line => JSON.parse(line));
+    const finished = logs.find(entry => entry.msg === "Tool call finished");
+    assert.equal(finished.tool, "get_live_traffic");
+    assert.equal(finished.status, "ok");
+    assert.ok(finished.request_id);
+    assert.equal(logs.find(entry => entry.msg === "Tool call").request_id, finished.request_id);
+    assert.doesNotMatch(stderr, /Boston|Providence/);
+  });
+});
+
+describe("HTTP tracing and /metrics", () => {
+  let server;
+
+  before(async () => {
+    server = await startHttp({ TRAFFIC_METRICS_TOKEN: "scrape-me" });
+  });
+
+  after(() => server.close());
+
+  test("echoes or assigns a request ID", async () => {
+    const given = await fetch(`${server.url}/health`, { headers: { "X-Request-Id": "trace-123" } });
+    assert.equal(given.headers.get("X-Request-Id"), "trace-123");
+
+    const assigned = await fetch(`${server.url}/health`);
+    assert.match(assigned.headers.get("X-Request-Id"), /^[0-9a-f-]{36}$/);
+  });
+
+  test("tool calls are logged with the HTTP request's correlation ID", async () => {
+    await callTool(server.client, "geocode", { address: "Boston, MA" });
+    const finished = await server.waitForLog(entry => entry.msg === "Tool call finished" && entry.tool === "geocode");
+    assert.equal(finished.client_id, "tests");
+    assert.ok(finished.request_id);
+  });
+
+  test("failed tool calls don't log locations quoted in the error", async () => {
+    await server.client.callTool({ name: "search_places", arguments: { query: "cafe", near: "42 Secret Home Lane" } }).catch(() => {});
+    const failed = await server.waitForLog(entry => entry.msg === "Tool call failed" && entry.tool === "search_places");
+    assert.equal(failed.error.upstream_status, "ZERO_RESULTS");
+    assert.doesNotMatch(JSON.stringify(server.logs), /Secret Home Lane/);
+  });
+
+  test("needs the metrics token when one is set", async () => {
+    assert.equal((await fetch(`${server.url}/metrics`)).status, 401);
+  });
+
+  test("reports tool calls, upstream results and cache hits", async () => {
+    await callTool(server.client, "get_live_traffic", { origin: "Boston, MA", destination: "Providence, RI" });
+    await callTool(server.client, "get_live_traffic", { origin: "Boston, MA", destination: "Providence, RI" });
+    await server.client.callTool({ name: "geocode", arguments: {} }).catch(() => {});
+
+    const response = await fetch(`${server.url}/metrics`, { headers: { Authorization: "Bearer scrape-me" } });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("Content-Type"), /^text\/plain/);
+    const text = await response.text();
+
+    assert.match(text, /traffic_tool_calls_total\{tool="get_live_traffic",status="ok"\} 2/);
+    assert.match(text, /traffic_tool_calls_total\{tool="geocode",status="error"\} 1/);
+    assert.match(text, /traffic_tool_duration_seconds_count\{tool="get_live_traffic"\} 2/);
+    assert.match(text, /traffic_upstream_requests_total\{provider="fixture",method="directions",result="ok"\} \d+/);
+    assert.match(text, /traffic_cache_lookups_total\{result="hit"\} [1-9]/);
+    assert.match(text, /traffic_cache_lookups_total\{result="miss"\} [1-9]/);
+    assert.match(text, /traffic_cache_hit_ratio 0\.\d+/);
+    assert.match(text, /traffic_circuit_open 0/);
+  });
+});
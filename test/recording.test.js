@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { after, test } from "node:test";
+import { Cassette, RecordingClient, ReplayClient } from "../src/providers/recording.js";
+
+const dir = mkdtempSync(join(tmpdir(), "traffic-cassette-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// Stands in for the Google client: answers directions, fails geocoding
+const upstream = {
+  async directions({ params }) {
+    return { status: 200, data: { status: "OK", routes: [{ summary: `${params.origin} to ${params.destination}` }] } };
+  },
+  async geocode() {
+    const error = new Error("Request failed with status code 403");
+    error.response = { status: 403, data: { status: "REQUEST_DENIED", error_message: "Bad key" } };
+    throw error;
+  }
+};
+
+test("recordings leave out the API key and replay without one", async () => {
+  const filePath = join(dir, "redact.json");
+  const recorder = new RecordingClient(upstream, new Cassette({ filePath }));
+  await recorder.directions({ params: { origin: "A", destination: "B", key: "secret" } });
+
+  const saved = readFileSync(filePath, "utf8");
+  assert.doesNotMatch(saved, /secret/);
+
+  const replay = new ReplayClient(new Cassette({ filePath }));
+  const response = await replay.directions({ params: { origin: "A", destination: "B", key: "another-key" } });
+  assert.equal(response.data.routes[0].summary, "A to B");
+});
+
+test("error responses are recorded and replayed as rejections", async () => {
+  const filePath = join(dir, "errors.json");
+  const recorder = new RecordingClient(upstream, new Cassette({ filePath }));
+  await assert.rejects(recorder.geocode({ params: { address: "Boston" } }), /403/);
+
+  const replay = new ReplayClient(new Cassette({ filePath }));
+  await assert.rejects(replay.geocode({ params: { address: "Boston" } }), error => {
+    assert.equal(error.response.status, 403);
+    assert.equal(error.response.data.status, "REQUEST_DENIED");
+    return true;
+  });
+});
+
+test("departure times match on being now or scheduled, not the exact time", async () => {
+  const cassette = new Cassette({ filePath: join(dir, "times.json") });
+  await cassette.record("directions", { origin: "A", destination: "B", departure_time: 1700000000 }, { status: 200, data: { status: "OK" } });
+
+  assert.ok(cassette.find("directions", { origin: "A", destination: "B", departure_time: 1800000000 }));
+  assert.equal(cassette.find("directions", { origin: "A", destination: "B", departure_time: "now" }), null);
+});
+
+test("a new recording of the same request replaces the old one", async () => {
+  const cassette = new Cassette({ filePath: join(dir, "replace.json") });
+  await cassette.record("geocode", { address: "Boston" }, { status: 200, data: { status: "ZERO_RESULTS" } });
+  await cassette.record("geocode", { address: "Boston" }, { status: 200, data: { status: "OK" } });
+
+  assert.equal(cassette.interactions.length, 1);
+  assert.equal(cassette.find("geocode", { address: "Boston" }).data.status, "OK");
+});
+
+test("requests that were never recorded fail clearly", async () => {
+  const replay = new ReplayClient(new Cassette({ interactions: [] }));
+  await assert.rejects(replay.directions({ params: { origin: "A", destination: "B" } }), /No recorded directions response/);
+});
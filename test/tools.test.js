@@ -0,0 +1,274 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { callTool, startStdio, TRANSPORTS } from "./helpers.js";
+
+// Every tool against the offline fixture provider, over both transports
+const hoursFromNow = hours => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+for (const [transport, start] of TRANSPORTS) {
+  describe(`tools over ${transport}`, () => {
+    let server;
+    let client;
+
+    before(async () => {
+      server = await start({ TRAFFIC_HISTORY: "on" });
+      client = server.client;
+    });
+
+    after(() => server.close());
+
+    test("lists every tool with an output schema", async () => {
+      const { tools } = await client.listTools();
+      assert.equal(tools.length, 20);
+      for (const tool of tools) {
+        assert.ok(tool.outputSchema, `${tool.name} has no outputSchema`);
+      }
+    });
+
+    test("get_live_traffic reports traffic and the worst bottleneck", async () => {
+      const result = await callTool(client, "get_live_traffic", { origin: "Boston, MA", destination: "Providence, RI" });
+      assert.equal(result.status, "ok");
+      assert.equal(result.duration_seconds, 2980);
+      assert.equal(result.duration_in_traffic_seconds, 3516);
+      assert.equal(result.traffic_level, "moderate");
+      assert.equal(result.bottlenecks[0].road, "I-95 S");
+      assert.equal(result.itinerary, null);
+    });
+
+    test("get_live_traffic returns no_route when nothing connects the places", async () => {
+      const result = await callTool(client, "get_live_traffic", { origin: "Boston, MA", destination: "Times Square" });
+      assert.equal(result.status, "no_route");
+    });
+
+    test("get_live_traffic asks which place was meant when a name is ambiguous", async () => {
+      const result = await callTool(client, "get_live_traffic", { origin: "Springfield", destination: "Providence, RI" });
+      assert.equal(result.status, "ambiguous_location");
+      assert.ok(result.locations[0].candidates.length > 1);
+    });
+
+    test("get_live_traffic returns a transit itinerary", async () => {
+      const result = await callTool(client, "get_live_traffic", { origin: "Cambridge, MA", destination: "Providence, RI", mode: "transit" });
+      assert.equal(result.status, "ok");
+      assert.equal(result.itinerary.transfers, 1);
+    });
+
+    test("get_forecast_traffic returns a min/likely/max band", async () => {
+      const result = await callTool(client, "get_forecast_traffic", {
+        origin: "Boston, MA",
+        destination: "Providence, RI",
+        departure_time: hoursFromNow(2)
+      });
+      assert.equal(result.status, "ok");
+      assert.ok(result.band.min_seconds <= result.band.likely_seconds);
+      assert.ok(result.band.likely_seconds <= result.band.max_seconds);
+    });
+
+    test("get_forecast_traffic works out when to leave for a deadline", async () => {
+      const arriveBy = hoursFromNow(4);
+      const result = await callTool(client, "get_forecast_traffic", {
+        origin: "Boston, MA",
+        destination: "Providence, RI",
+        arrival_time: arriveBy
+      });
+      assert.equal(result.status, "ok");
+      assert.ok(new Date(result.leave_by.leave_by) < new Date(arriveBy));
+    });
+
+    test("get_traffic_comparison compares now with later", async () => {
+      const result = await callTool(client, "get_traffic_comparison", { origin: "Boston, MA", destination: "Providence, RI" });
+      assert.equal(result.status, "ok");
+      assert.ok(["better", "similar", "worse"].includes(result.trend));
+    });
+
+    test("get_route_alternatives ranks routes", async () => {
+      const result = await callTool(client, "get_route_alternatives", { origin: "Boston, MA", destination: "Providence, RI" });
+      assert.equal(result.status, "ok");
+      assert.deepEqual(result.routes.map(route => route.rank), result.routes.map((_, index) => index + 1));
+    });
+
+    test("find_best_departure_time picks a departure that arrives in time", async () => {
+      const arriveBy = hoursFromNow(3);
+      const result = await callTool(client, "find_best_departure_time", {
+        origin: "Boston, MA",
+        destination: "Providence, RI",
+        arrive_by: arriveBy
+      });
+      assert.equal(result.status, "ok");
+      assert.equal(result.search.type, "arrive_by");
+      assert.ok(new Date(result.best_departure.arrival_time) <= new Date(arriveBy));
+    });
+
+    test("plan_trip chains the stops", async () => {
+      const result = await callTool(client, "plan_trip", {
+        stops: [{ location: "Boston, MA" }, { location: "Cambridge, MA", dwell_minutes: 10 }, { location: "Somerville, MA" }]
+      });
+      assert.equal(result.status, "ok");
+      assert.equal(result.legs.length, 2);
+      assert.equal(result.totals.distance_meters, 8381);
+    });
+
+    test("get_travel_matrix finds the closest destination for each origin", async () => {
+      const result = await callTool(client, "get_travel_matrix", {
+        origins: ["Boston, MA", "Cambridge, MA"],
+        destinations: ["Somerville, MA", "Brookline, MA"]
+      });
+      assert.equal(result.status, "ok");
+      assert.deepEqual(result.results.map(row => row.closest.destination), ["Somerville, MA, USA", "Somerville, MA, USA"]);
+    });
+
+    test("get_reachable_area draws an area around the origin and checks sites", async () => {
+      const result = await callTool(client, "get_reachable_area", {
+        origin: "Boston, MA",
+        max_minutes: 20,
+        sites: ["Cambridge, MA", "Providence, RI"]
+      });
+      assert.equal(result.status, "ok");
+      assert.equal(result.area.geometry.type, "Polygon");
+      const ring = result.area.geometry.coordinates[0];
+      assert.deepEqual(ring[0], ring.at(-1));
+      assert.ok(result.area_km2 > 0);
+      assert.equal(result.sampling.samples, 80);
+      assert.deepEqual(result.sites.map(site => site.reachable), [true, false]);
+    });
+
+    test("get_reachable_area coarsens the grid to stay within max_samples", async () => {
+      const result = await callTool(client, "get_reachable_area", {
+        origin: "42.36,-71.06",
+        max_minutes: 10,
+        mode: "walking",
+        resolution: 21,
+        max_samples: 50
+      });
+      assert.equal(result.sampling.resolution, 9);
+      assert.equal(result.sampling.samples, 48);
+      assert.equal(result.sampling.reduced_resolution, true);
+    });
+
+    test("find_meeting_point ranks cafes between the travelers by the longest trip", async () => {
+      const result = await callTool(client, "find_meeting_point", {
+        travelers: [
+          { name: "Ana", origin: "42.3736,-71.1097" },
+          { name: "Ben", origin: "42.3876,-71.0995", mode: "walking" },
+          { origin: "42.3318,-71.1212", mode: "bicycling" }
+        ],
+        category: "cafe"
+      });
+      assert.equal(result.status, "ok");
+      assert.deepEqual(result.travelers.map(traveler => traveler.name), ["Ana", "Ben", "Traveler 3"]);
+      const [best, ...others] = result.meeting_points;
+      assert.equal(best.name, "Central Square Cafe");
+      assert.deepEqual(best.etas.map(eta => eta.mode), ["driving", "walking", "bicycling"]);
+      assert.equal(best.max_travel_seconds, Math.max(...best.etas.map(eta => eta.travel_seconds)));
+      assert.ok(others.every(entry => entry.max_travel_seconds >= best.max_travel_seconds));
+    });
+
+    test("find_meeting_point can rank given venues by total time and leaves out unreachable ones", async () => {
+      const result = await callTool(client, "find_meeting_point", {
+        travelers: [{ origin: "42.3736,-71.1097" }, { origin: "42.3318,-71.1212" }],
+        venues: ["Boston, MA", "42.36,-71.1", "Springfield, IL"],
+        rank_by: "total"
+      });
+      assert.equal(result.ranked_by, "total");
+      assert.deepEqual(result.meeting_points.map(entry => entry.venue), ["42.36,-71.1", "Boston, MA"]);
+      assert.ok(result.meeting_points[0].total_travel_seconds <= result.meeting_points[1].total_travel_seconds);
+      assert.deepEqual(result.excluded.map(entry => entry.venue), ["Springfield, IL"]);
+    });
+
+    test("search_places finds places and reports no_results otherwise", async () => {
+      const found = await callTool(client, "search_places", { query: "cafe" });
+      assert.equal(found.status, "ok");
+      assert.ok(found.count > 0);
+
+      const missing = await callTool(client, "search_places", { query: "zzz" });
+      assert.equal(missing.status, "no_results");
+    });
+
+    test("geocode and reverse_geocode resolve places", async () => {
+      const geocoded = await callTool(client, "geocode", { address: "Boston, MA" });
+      assert.equal(geocoded.status, "ok");
+      assert.equal(geocoded.ambiguous, false);
+
+      const reversed = await callTool(client, "reverse_geocode", { location: "42.3601,-71.0589" });
+      assert.equal(reversed.status, "ok");
+      assert.ok(reversed.address);
+    });
+
+    test("saved places can be used as @aliases and deleted", async () => {
+      const saved = await callTool(client, "save_place", { alias: "home", location: "Boston, MA" });
+      assert.equal(saved.status, "ok");
+
+      const listed = await callTool(client, "list_places");
+      assert.deepEqual(listed.places.map(place => place.alias), ["home"]);
+
+      const live = await callTool(client, "get_live_traffic", { origin: "@home", destination: "Providence, RI" });
+      assert.equal(live.origin, "Boston, MA, USA");
+
+      assert.equal((await callTool(client, "delete_place", { alias: "home" })).deleted, true);
+      assert.equal((await callTool(client, "delete_place", { alias: "home" })).status, "not_found");
+    });
+
+    test("watches can be created, listed and deleted", async () => {
+      const created = await callTool(client, "create_watch", {
+        origin: "Boston, MA",
+        destination: "Providence, RI",
+        schedule: "0 8 * * 1-5",
+        threshold_minutes: 50
+      });
+      assert.equal(created.status, "ok");
+      assert.equal(created.current.triggered, true);
+
+      const listed = await callTool(client, "list_watches");
+      assert.deepEqual(listed.watches.map(watch => watch.id), [created.watch.id]);
+
+      assert.equal((await callTool(client, "delete_watch", { id: created.watch.id })).deleted, true);
+      assert.equal((await callTool(client, "delete_watch", { id: created.watch.id })).status, "not_found");
+    });
+
+    test("create_watch returns no_route when nothing connects the places", async () => {
+      const result = await callTool(client, "create_watch", {
+        origin: "Boston, MA",
+        destination: "Times Square",
+        schedule: "0 8 * * 1-5",
+        threshold_minutes: 50
+      });
+      assert.equal(result.status, "no_route");
+      assert.equal((await callTool(client, "list_watches")).count, 0);
+    });
+
+    test("get_traffic_history reports recorded lookups", async () => {
+      const result = await callTool(client, "get_traffic_history", { origin: "Boston, MA", destination: "Providence, RI" });
+      assert.equal(result.status, "ok");
+      assert.ok(result.observations >= 1);
+    });
+
+    test("get_usage_stats counts upstream calls by tool", async () => {
+      const result = await callTool(client, "get_usage_stats", { days: 1 });
+      assert.equal(result.status, "ok");
+      assert.equal(result.mode, "normal");
+      assert.ok(result.tools.some(tool => tool.tool === "get_live_traffic"));
+      assert.ok(result.today.calls > 0);
+    });
+  });
+}
+
+describe("traffic history", () => {
+  let server;
+
+  // Without the cache every compare_now call is a fresh live lookup
+  before(async () => {
+    server = await startStdio({ TRAFFIC_HISTORY: "on", TRAFFIC_CACHE: "off" });
+  });
+
+  after(() => server.close());
+
+  test("compare_now records its live lookup", async () => {
+    const args = { origin: "Boston, MA", destination: "Providence, RI" };
+    const first = await callTool(server.client, "get_traffic_history", args);
+    assert.equal(first.observations, 1);
+    assert.equal(first.typical[0].samples, 1);
+
+    const second = await callTool(server.client, "get_traffic_history", args);
+    assert.equal(second.observations, 2);
+    assert.equal(second.typical[0].samples, 2);
+  });
+});
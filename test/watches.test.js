@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { WatchScheduler, WatchStore } from "../src/watches.js";
+
+const now = new Date("2030-01-07T08:00:00Z");
+
+function dueWatches(count) {
+  const store = new WatchStore();
+  for (let i = 0; i < count; i++) {
+    store.watches[`w_${i}`] = { id: `w_${i}`, schedule: "*/5 * * * *", next_run: now.toISOString() };
+  }
+  return store;
+}
+
+describe("watch scheduler", () => {
+  test("a failed check is recorded on the watch and rescheduled", async () => {
+    const store = dueWatches(1);
+    const scheduler = new WatchScheduler({
+      store,
+      check: async () => {
+        throw new Error("Upstream down");
+      }
+    });
+
+    await scheduler.tick(now);
+    const [watch] = store.all();
+    assert.deepEqual(watch.last_error, { at: now.toISOString(), message: "Upstream down" });
+    assert.ok(new Date(watch.next_run) > now);
+  });
+
+  test("a store that fails to save does not reject the tick or stop other watches", async () => {
+    const store = dueWatches(3);
+    const checked = [];
+    store.update = async id => {
+      throw new Error(`Disk full saving ${id}`);
+    };
+    const scheduler = new WatchScheduler({
+      store,
+      check: async watch => {
+        checked.push(watch.id);
+        return { last_error: null };
+      }
+    });
+
+    await scheduler.tick(now);
+    assert.deepEqual(checked.sort(), ["w_0", "w_1", "w_2"]);
+    assert.equal(scheduler.running, null);
+  });
+});